@@ -3,20 +3,55 @@
  * Initializes the Bible navigation app with simplified, decoupled architecture
  */
 
+import { MODES } from './modules/constants.js';
 import { buildAllBooks } from './modules/bookDataUtils.js';
+import { eventBus, Events } from './modules/eventBus.js';
 import {
   initDisplayManager,
   updateDisplay,
   updateChapterDisplay,
-  updateReadingDisplay
+  updateReadingDisplay,
+  updateVerseDisplay,
+  updateBookmarksDisplay,
+  updateSearchDisplay
 } from './modules/displayManager.js';
 import {
   enterChapterMode,
   exitChapterMode,
+  enterVerseMode,
+  exitVerseMode,
   enterReadingMode,
-  exitReadingMode
+  exitReadingMode,
+  enterBookmarksMode,
+  exitBookmarksMode,
+  enterSearchMode,
+  exitSearchMode,
+  navigateTo,
+  getCurrentMode,
+  getCurrentBookIndex,
+  getCurrentChapter
 } from './modules/navigationState.js';
+import { getBookmarks } from './modules/bookmarks.js';
+import { initVerseActions } from './modules/verseActions.js';
+import { initPanel } from './modules/panel.js';
+import { showHighlightsPanel } from './modules/highlightsPanel.js';
+import { showNotesPanel, openNoteEditor } from './modules/notesPanel.js';
+import { showPlansPanel } from './modules/plansPanel.js';
+import { showProgressPanel } from './modules/progressPanel.js';
+import { showExportPanel } from './modules/exportPanel.js';
+import { initReadingPlans } from './modules/readingPlans.js';
+import { initDownloadManager } from './modules/downloadManager.js';
+import { showDownloadsPanel } from './modules/downloadsPanel.js';
+import { initReadingProgress } from './modules/readingProgress.js';
+import { initGoToReference } from './modules/goToReference.js';
+import { initCrossReferences } from './modules/crossReferences.js';
+import { initSearchIndex } from './modules/searchIndex.js';
+import { initSearchView } from './modules/searchView.js';
+import { showTranslationPanel, showParallelPanel } from './modules/translationPanel.js';
+import { getTranslation, getSetting, setSetting } from './modules/settings.js';
 import { initEventHandlers } from './modules/eventHandlers.js';
+import { initRouter, navigate } from './modules/router.js';
+import { restoreSession, initSessionPersistence } from './modules/sessionStore.js';
 
 // DOM element references - query once at initialization
 const dom = {
@@ -26,6 +61,14 @@ const dom = {
   swipeHint: document.getElementById("swipeHint"),
   bookCountDisplay: document.getElementById("bookCountDisplay"),
   alphabetNav: document.getElementById("alphabetNav"),
+  toolbar: document.getElementById("appToolbar"),
+  verseActions: document.getElementById("verseActions"),
+  panel: document.getElementById("panel"),
+  gotoForm: document.getElementById("gotoForm"),
+  footnotePopup: document.getElementById("footnotePopup"),
+  crossrefBack: document.getElementById("crossrefBack"),
+  translationButton: document.getElementById("translationButton"),
+  redLetterButton: document.getElementById("redLetterButton"),
 };
 
 // Build data structures
@@ -61,6 +104,18 @@ const exitChapterModeWrapper = () => {
   exitChapterMode(dom.slider, updateDisplayWrapper);
 };
 
+const updateVerseDisplayWrapper = () => {
+  updateVerseDisplay(allBooks);
+};
+
+const enterVerseModeWrapper = () => {
+  enterVerseMode(dom.slider, updateVerseDisplayWrapper);
+};
+
+const exitVerseModeWrapper = () => {
+  exitVerseMode(allBooks, dom.slider, updateChapterDisplayWrapper);
+};
+
 const enterReadingModeWrapper = () => {
   enterReadingMode(updateReadingDisplayWrapper);
 };
@@ -69,21 +124,135 @@ const exitReadingModeWrapper = () => {
   exitReadingMode(allBooks, updateChapterDisplayWrapper, exitChapterModeWrapper);
 };
 
+const enterBookmarksModeWrapper = () => {
+  enterBookmarksMode(dom.slider, getBookmarks().length, updateBookmarksDisplay);
+};
+
+const exitBookmarksModeWrapper = () => {
+  exitBookmarksMode(dom.slider, updateDisplayWrapper);
+};
+
+const enterSearchModeWrapper = () => {
+  enterSearchMode(updateSearchDisplay);
+};
+
+const exitSearchModeWrapper = () => {
+  exitSearchMode(dom.slider, updateDisplayWrapper);
+};
+
+const navigateToWrapper = (target) => {
+  navigateTo(allBooks, dom.slider, target, {
+    updateDisplayCallback: updateDisplayWrapper,
+    updateChapterDisplayCallback: updateChapterDisplayWrapper,
+    updateReadingDisplayCallback: updateReadingDisplayWrapper,
+    updateVerseDisplayCallback: updateVerseDisplayWrapper,
+    enterBookmarksModeCallback: enterBookmarksModeWrapper,
+    enterSearchModeCallback: enterSearchModeWrapper,
+  });
+};
+
 // Initialize event handlers with new object-based API
 initEventHandlers({
   container: dom.container,
   slider: dom.slider,
   letterDisplay: dom.letterDisplay,
   alphabetNav: dom.alphabetNav,
+  toolbar: dom.toolbar,
   allBooks,
   updateDisplayCallback: updateDisplayWrapper,
   updateChapterDisplayCallback: updateChapterDisplayWrapper,
   updateReadingDisplayCallback: updateReadingDisplayWrapper,
+  updateVerseDisplayCallback: updateVerseDisplayWrapper,
   enterChapterModeCallback: enterChapterModeWrapper,
   exitChapterModeCallback: exitChapterModeWrapper,
-  enterReadingModeCallback: enterReadingModeWrapper,
+  enterVerseModeCallback: enterVerseModeWrapper,
+  exitVerseModeCallback: exitVerseModeWrapper,
   exitReadingModeCallback: exitReadingModeWrapper,
+  updateBookmarksDisplayCallback: updateBookmarksDisplay,
+  enterBookmarksModeCallback: enterBookmarksModeWrapper,
+  exitBookmarksModeCallback: exitBookmarksModeWrapper,
+  exitSearchModeCallback: exitSearchModeWrapper,
+  navigateCallback: navigate,
+  toolbarActions: {
+    "show-search": enterSearchModeWrapper,
+    "show-bookmarks": enterBookmarksModeWrapper,
+    "show-highlights": () => showHighlightsPanel(allBooks, navigate),
+    "show-notes": () => showNotesPanel(allBooks, navigate),
+    "show-plans": () => showPlansPanel(allBooks, navigate),
+    "show-progress": showProgressPanel,
+    "show-downloads": () => showDownloadsPanel(allBooks),
+    "choose-translation": showTranslationPanel,
+    "show-parallel": showParallelPanel,
+    "toggle-red-letter": () => setSetting("redLetter", !getSetting("redLetter")),
+    "chapter-note": () => openNoteEditor({ book: allBooks[getCurrentBookIndex()].book, chapter: getCurrentChapter() }),
+    "export-chapter": () => showExportPanel({ book: allBooks[getCurrentBookIndex()].book, chapter: getCurrentChapter() }),
+  },
+});
+
+initPanel(dom.panel);
+
+initVerseActions({
+  actionBar: dom.verseActions,
+  letterDisplay: dom.letterDisplay,
+  allBooks,
 });
 
-// Initial display
-updateDisplayWrapper(0);
+initCrossReferences({
+  letterDisplay: dom.letterDisplay,
+  popup: dom.footnotePopup,
+  backButton: dom.crossrefBack,
+  allBooks,
+  navigateCallback: navigate,
+});
+
+initGoToReference({
+  form: dom.gotoForm,
+  allBooks,
+  navigateCallback: navigate,
+});
+
+initSearchView({
+  allBooks,
+  navigateCallback: navigate,
+});
+
+initReadingProgress();
+initReadingPlans();
+initDownloadManager();
+initSearchIndex();
+
+// Show the chosen translation, and reload chapter text when it (or the parallel translations) change
+dom.translationButton.textContent = getTranslation();
+eventBus.on(Events.SETTINGS_CHANGED, ({ key }) => {
+  if (key !== "translation" && key !== "parallelTranslations") return;
+
+  dom.translationButton.textContent = getTranslation();
+  if (getCurrentMode() === MODES.READING) {
+    updateReadingDisplayWrapper();
+  } else if (getCurrentMode() === MODES.VERSES) {
+    updateVerseDisplayWrapper();
+  }
+});
+
+// Words of Jesus are always marked up; the setting only decides whether they are coloured
+const applyRedLetter = () => {
+  document.body.classList.toggle("red-letter", getSetting("redLetter"));
+  dom.redLetterButton.setAttribute("aria-pressed", String(getSetting("redLetter")));
+};
+applyRedLetter();
+eventBus.on(Events.SETTINGS_CHANGED, ({ key }) => {
+  if (key === "redLetter") applyRedLetter();
+});
+
+// Initial display - restore the view named in the URL (e.g. #/john/3/16) if there is one,
+// otherwise pick up where the user left off last time
+const restoredFromUrl = initRouter({
+  allBooks,
+  applyRouteCallback: navigateToWrapper,
+});
+
+if (!restoredFromUrl && !restoreSession(allBooks, (route) => navigate(route, { replace: true }))) {
+  updateDisplayWrapper(0);
+}
+
+initSessionPersistence({ letterDisplay: dom.letterDisplay });
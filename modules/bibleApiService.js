@@ -1,11 +1,46 @@
 import { bookAbbreviations } from "/data.js";
+import { getTranslation } from "./settings.js";
+import { createProviderFromEnv } from "./providers/index.js";
+import { getOfflineChapter } from "./offlineStore.js";
+import { createLRUCache } from "./lruCache.js";
+import { eventBus, Events } from "./eventBus.js";
 
-// API configuration
-const API_BASE_URL = "https://bible.helloao.org/api";
-const DEFAULT_TRANSLATION = "BSB"; // Berean Standard Bible (KJV not available in this API)
+// Where chapters come from (see providers/index.js)
+let provider = createProviderFromEnv();
 
-// In-memory cache for API responses
-const chapterCache = new Map();
+// In-memory cache for API responses - bounded so long sessions with many translation switches stay small
+const CACHE_MAX_CHAPTERS = 100;
+const CACHE_TTL = 60 * 60 * 1000; // 1 hour
+const chapterCache = createLRUCache({ maxSize: CACHE_MAX_CHAPTERS, ttl: CACHE_TTL });
+
+// Retries for transient failures (network errors, 5xx, 429): waits of about 0.5s, 1s, 2s
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY = 500;
+
+// Chapter requests in progress, keyed like the cache, so a prefetch and a navigation share one fetch
+const pendingChapters = new Map();
+
+// Translation catalog request, shared by every caller
+let translationsRequest = null;
+
+/**
+ * Get the scripture data provider
+ * @returns {import("./providers/index.js").ScriptureProvider} Current provider
+ */
+export function getProvider() {
+  return provider;
+}
+
+/**
+ * Switch to a different scripture data provider, dropping anything cached from the old one
+ * @param {import("./providers/index.js").ScriptureProvider} newProvider - Provider to use
+ */
+export function setProvider(newProvider) {
+  provider = newProvider;
+  translationsRequest = null;
+  pendingChapters.clear();
+  clearCache();
+}
 
 /**
  * Get the API abbreviation for a book name
@@ -33,128 +68,272 @@ function getCacheKey(translation, book, chapter) {
 }
 
 /**
- * Fetch a Bible chapter from the API
- * @param {string} bookName - Full book name (e.g., "Genesis")
+ * Check whether a failed request is worth trying again
+ * @param {Error} error - Request error
+ * @returns {boolean} True for network errors, server errors and rate limiting (not e.g. 404)
+ */
+function isTransientError(error) {
+  if (error.name === "AbortError") return false;
+  if (error.status === undefined) return error instanceof TypeError;
+  return error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Wait before retrying
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} signal - Signal that ends the wait early (rejecting)
+ * @returns {Promise<void>} Resolves after the delay
+ */
+function waitForRetry(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timeout);
+      reject(signal.reason);
+    };
+    const timeout = setTimeout(() => {
+      signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Run a request, retrying transient failures with exponential backoff
+ * @param {Function} request - Returns a promise for the response
+ * @param {AbortSignal} signal - Signal that stops retrying
+ * @returns {Promise<*>} Response
+ */
+async function withRetry(request, signal) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      if (attempt >= MAX_RETRIES || !isTransientError(error)) {
+        throw error;
+      }
+
+      // Jitter keeps many clients from retrying in step
+      const delay = RETRY_BASE_DELAY * 2 ** attempt * (0.75 + Math.random() / 2);
+      console.warn(`Request failed (${error.message}), retrying in ${Math.round(delay)}ms`);
+      await waitForRetry(delay, signal);
+    }
+  }
+}
+
+/**
+ * Start a request for a chapter from the offline store or the provider
+ * The network request is cancelled only once every caller waiting on it has given up
+ * @param {string} cacheKey - Cache key of the chapter
+ * @param {string} bookAbbrev - Book abbreviation
  * @param {number} chapter - Chapter number
- * @param {string} translation - Bible translation (default: "KJV")
- * @returns {Promise<Object>} Chapter data with verses
+ * @param {string} translation - Translation id
+ * @returns {{promise: Promise<Object>, controller: AbortController, waiting: number, keepAlive: boolean}} Pending request
  */
-export async function fetchChapter(bookName, chapter, translation = DEFAULT_TRANSLATION) {
-  const bookAbbrev = getBookAbbreviation(bookName);
+function startChapterRequest(cacheKey, bookAbbrev, chapter, translation) {
+  const controller = new AbortController();
+  const pending = { controller, waiting: 0, keepAlive: false };
+
+  pending.promise = (async () => {
+    // Downloaded chapters work without a connection
+    const data =
+      (await getOfflineChapter(translation, bookAbbrev, chapter)) ??
+      (await withRetry(
+        () => provider.fetchChapter(translation, bookAbbrev, chapter, { signal: controller.signal }),
+        controller.signal
+      ));
+
+    // Cache the response
+    chapterCache.set(cacheKey, data);
+    eventBus.emit(Events.CHAPTER_LOADED, { translation, bookId: bookAbbrev, chapter, data });
+    return data;
+  })().finally(() => {
+    if (pendingChapters.get(cacheKey) === pending) {
+      pendingChapters.delete(cacheKey);
+    }
+  });
+
+  pendingChapters.set(cacheKey, pending);
+  return pending;
+}
+
+/**
+ * Load a chapter from the cache, the offline store or the provider, joining a request already in progress
+ * @param {string} bookAbbrev - Book abbreviation
+ * @param {number} chapter - Chapter number
+ * @param {string} translation - Translation id
+ * @param {AbortSignal} [signal] - Signal to stop waiting (callers without one keep the request alive)
+ * @returns {Promise<Object>} Chapter data
+ */
+function loadChapter(bookAbbrev, chapter, translation, signal) {
   const cacheKey = getCacheKey(translation, bookAbbrev, chapter);
 
   // Check cache first
-  if (chapterCache.has(cacheKey)) {
-    return chapterCache.get(cacheKey);
+  const cached = chapterCache.get(cacheKey);
+  if (cached) {
+    return Promise.resolve(cached);
   }
 
-  // Fetch from API
-  const url = `${API_BASE_URL}/${translation}/${bookAbbrev}/${chapter}.json`;
+  // Don't start a request nobody will wait for - its rejection would go unhandled
+  if (signal?.aborted) {
+    return Promise.reject(signal.reason ?? new DOMException("Chapter request cancelled", "AbortError"));
+  }
 
-  try {
-    const response = await fetch(url);
+  const pending =
+    pendingChapters.get(cacheKey) ?? startChapterRequest(cacheKey, bookAbbrev, chapter, translation);
+  if (!signal) {
+    pending.keepAlive = true;
+    return pending.promise;
+  }
+
+  pending.waiting++;
+  return new Promise((resolve, reject) => {
+    let released = false;
+    const release = () => {
+      if (released) return;
+      released = true;
+      pending.waiting--;
+      signal.removeEventListener("abort", handleAbort);
+    };
 
-    if (!response.ok) {
-      throw new Error(`API request failed: ${response.status} ${response.statusText}`);
+    function handleAbort() {
+      release();
+      if (pending.waiting === 0 && !pending.keepAlive) {
+        // Nobody needs this chapter any more - a later request starts afresh
+        pendingChapters.delete(cacheKey);
+        pending.controller.abort();
+      }
+      reject(signal.reason ?? new DOMException("Chapter request cancelled", "AbortError"));
     }
 
-    const data = await response.json();
+    signal.addEventListener("abort", handleAbort);
+    pending.promise.then(
+      (data) => {
+        release();
+        resolve(data);
+      },
+      (error) => {
+        release();
+        reject(error);
+      }
+    );
+  });
+}
 
-    // Cache the response
-    chapterCache.set(cacheKey, data);
+/**
+ * Fetch a Bible chapter from the provider
+ * @param {string} bookName - Full book name (e.g., "Genesis")
+ * @param {number} chapter - Chapter number
+ * @param {string} [translation] - Translation id (default: the user's chosen translation)
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Signal to cancel the request (rejects with an AbortError)
+ * @returns {Promise<Object>} Chapter data with verses
+ * @throws {Error} Once retries are used up; also emitted as Events.API_ERROR ({ book, chapter, translation, error })
+ */
+export async function fetchChapter(bookName, chapter, translation = getTranslation(), { signal } = {}) {
+  const bookAbbrev = getBookAbbreviation(bookName);
 
-    return data;
+  try {
+    return await loadChapter(bookAbbrev, chapter, translation, signal);
   } catch (error) {
-    console.error(`Error fetching chapter ${bookName} ${chapter}:`, error);
+    if (error.name !== "AbortError") {
+      console.error(`Error fetching chapter ${bookName} ${chapter}:`, error);
+      eventBus.emit(Events.API_ERROR, { book: bookName, chapter, translation, error });
+    }
     throw error;
   }
 }
 
 /**
- * Parse content item (can be string or object with text/poem/noteId/lineBreak)
- * @param {string|Object} contentItem - Content item from API
- * @param {Map} footnotesMap - Map of noteId to footnote objects
- * @returns {string} Parsed text
+ * Find a cached copy of a chapter to read when it can't be loaded, even if the copy has expired
+ * @param {string} bookName - Full book name
+ * @param {number} chapter - Chapter number
+ * @param {string} [translation] - Preferred translation id (default: the user's chosen translation)
+ * @returns {{translation: string, data: Object}|null} Cached chapter, in the preferred translation if possible
  */
-function parseContentItem(contentItem, footnotesMap) {
-  if (typeof contentItem === "string") {
-    return contentItem;
-  }
-  if (contentItem.text) {
-    return contentItem.text;
-  }
-  if (contentItem.noteId !== undefined) {
-    const footnote = footnotesMap.get(contentItem.noteId);
-    const caller = footnote ? footnote.caller : contentItem.noteId;
-    return `<sup class="footnote-ref" data-note-id="${contentItem.noteId}">${caller}</sup>`;
-  }
-  if (contentItem.lineBreak) {
-    return "<br>";
-  }
-  return "";
+export function getCachedChapter(bookName, chapter, translation = getTranslation()) {
+  const bookAbbrev = getBookAbbreviation(bookName);
+  const preferredKey = getCacheKey(translation, bookAbbrev, chapter);
+  const suffix = `:${bookAbbrev}:${chapter}`;
+  const key = chapterCache.peek(preferredKey)
+    ? preferredKey
+    : chapterCache.keys().find((cacheKey) => cacheKey.endsWith(suffix));
+
+  return key ? { translation: key.slice(0, -suffix.length), data: chapterCache.peek(key) } : null;
 }
 
 /**
- * Format verses for display
- * @param {Object} chapterData - Chapter data from API
- * @returns {string} HTML string with formatted verses
+ * Load a chapter into the cache in the background, ignoring failures
+ * @param {string} bookName - Full book name
+ * @param {number} chapter - Chapter number
+ * @param {string} [translation] - Translation id (default: the user's chosen translation)
  */
-export function formatVersesHTML(chapterData) {
-  if (!chapterData || !chapterData.chapter || !chapterData.chapter.content) {
-    console.error("Invalid chapter data structure:", chapterData);
-    return '<div class="error-message">No verse data available</div>';
+export function prefetchChapter(bookName, chapter, translation = getTranslation()) {
+  loadChapter(getBookAbbreviation(bookName), chapter, translation).catch(() => {
+    // A prefetch is only a head start - the real navigation will report any error
+  });
+}
+
+/**
+ * Fetch the list of translations the provider offers
+ * @returns {Promise<Array<Object>>} Translations ({ id, name, englishName, language, languageName, languageEnglishName, ... })
+ */
+export function fetchTranslations() {
+  if (!translationsRequest) {
+    translationsRequest = provider
+      .fetchTranslations()
+      .catch((error) => {
+        // Allow a retry after a failed request
+        translationsRequest = null;
+        console.error("Error fetching translations:", error);
+        throw error;
+      });
   }
+  return translationsRequest;
+}
 
-  const content = chapterData.chapter.content;
-  const footnotes = chapterData.chapter.footnotes || [];
+/**
+ * Fetch the books a translation contains
+ * @param {string} [translation] - Translation id (default: the user's chosen translation)
+ * @returns {Promise<Array<Object>>} Books ({ id, name, numberOfChapters, ... })
+ */
+export function fetchBooks(translation = getTranslation()) {
+  return provider.fetchBooks(translation);
+}
 
-  // Create a map of noteId to footnote for quick lookup
-  const footnotesMap = new Map();
-  footnotes.forEach((footnote) => {
-    footnotesMap.set(footnote.noteId, footnote);
-  });
+/**
+ * Group translations by language, English first and then alphabetically by language name
+ * @param {Array<Object>} translations - Translations from fetchTranslations()
+ * @returns {Array<{language: string, label: string, translations: Array<Object>}>} Language groups
+ */
+export function groupTranslationsByLanguage(translations) {
+  const groups = new Map();
 
-  // Process each content item (headings, verses, line breaks)
-  const versesHTML = content
-    .map((item) => {
-      if (item.type === "heading") {
-        const headingContent = item.content.map((c) => parseContentItem(c, footnotesMap)).join("");
-        return `<div class="chapter-heading">${headingContent}</div>`;
-      }
-      if (item.type === "line_break") {
-        return "<br>";
-      }
-      if (item.type === "verse") {
-        const verseNumber = item.number;
-        const verseContent = item.content.map((c) => parseContentItem(c, footnotesMap)).join("");
-        return `<span class="verse"><span class="verse-number">${verseNumber}</span> <span class="verse-text">${verseContent}</span></span>`;
-      }
-      return "";
-    })
-    .filter((html) => html !== "")
-    .join(" ");
-
-  // Build footnotes section if footnotes exist
-  let footnotesHTML = "";
-  if (footnotes.length > 0) {
-    const footnoteItems = footnotes
-      .map((footnote) => {
-        const ref = `${footnote.reference.chapter}:${footnote.reference.verse}`;
-        return `<div class="footnote-item" id="footnote-${footnote.noteId}">
-          <span class="footnote-caller">${footnote.caller}</span>
-          <span class="footnote-reference">(${ref})</span>
-          <span class="footnote-text">${footnote.text}</span>
-        </div>`;
-      })
-      .join("");
-
-    footnotesHTML = `<div class="footnotes-section">
-      <div class="footnotes-title">Cross-References & Notes</div>
-      ${footnoteItems}
-    </div>`;
-  }
+  translations.forEach((translation) => {
+    const language = translation.language || "und";
+    if (!groups.has(language)) {
+      const englishName = translation.languageEnglishName || translation.languageName || language;
+      const label =
+        translation.languageName && translation.languageName !== englishName
+          ? `${englishName} (${translation.languageName})`
+          : englishName;
+      groups.set(language, { language, label, translations: [] });
+    }
+    groups.get(language).translations.push(translation);
+  });
 
-  return `<div class="chapter-content">${versesHTML}${footnotesHTML}</div>`;
+  return [...groups.values()]
+    .map((group) => ({
+      ...group,
+      translations: group.translations.sort((a, b) =>
+        (a.englishName || a.name).localeCompare(b.englishName || b.name)
+      ),
+    }))
+    .sort((a, b) => {
+      if (a.language === "eng") return -1;
+      if (b.language === "eng") return 1;
+      return a.label.localeCompare(b.label);
+    });
 }
 
 /**
@@ -164,13 +343,56 @@ export function clearCache() {
   chapterCache.clear();
 }
 
+/**
+ * Change the chapter cache limits
+ * @param {Object} options - Cache limits
+ * @param {number} [options.maxSize] - Most chapters kept in memory
+ * @param {number} [options.ttl] - Milliseconds a cached chapter stays valid
+ */
+export function configureCache(options) {
+  chapterCache.configure(options);
+}
+
+/**
+ * List the chapters of a translation held in the cache, including expired ones
+ * @param {string} translation - Translation id
+ * @returns {Array<{bookId: string, chapter: number, data: Object}>} Cached chapters
+ */
+export function getCachedChapters(translation) {
+  return chapterCache
+    .keys()
+    .filter((key) => key.startsWith(`${translation}:`))
+    .map((key) => {
+      const [, bookId, chapter] = key.split(":");
+      return { bookId, chapter: Number(chapter), data: chapterCache.peek(key) };
+    });
+}
+
+/**
+ * Keep a chapter in the cache until it is unpinned (e.g. today's reading-plan chapters)
+ * @param {string} bookName - Full book name
+ * @param {number} chapter - Chapter number
+ * @param {string} [translation] - Translation id (default: the user's chosen translation)
+ */
+export function pinChapter(bookName, chapter, translation = getTranslation()) {
+  chapterCache.pin(getCacheKey(translation, getBookAbbreviation(bookName), chapter));
+}
+
+/**
+ * Let a pinned chapter be evicted from the cache again
+ * @param {string} bookName - Full book name
+ * @param {number} chapter - Chapter number
+ * @param {string} [translation] - Translation id (default: the user's chosen translation)
+ */
+export function unpinChapter(bookName, chapter, translation = getTranslation()) {
+  chapterCache.unpin(getCacheKey(translation, getBookAbbreviation(bookName), chapter));
+}
+
 /**
  * Get cache statistics
- * @returns {Object} Cache stats
+ * @returns {{size: number, maxSize: number, ttl: number, pinned: number, hits: number, misses: number,
+ *   evictions: number, expirations: number, keys: Array<string>}} Cache stats
  */
 export function getCacheStats() {
-  return {
-    size: chapterCache.size,
-    keys: Array.from(chapterCache.keys()),
-  };
+  return chapterCache.getStats();
 }
@@ -0,0 +1,247 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { fetchBooks, fetchChapter, getProvider, setProvider } from "./bibleApiService.js";
+import { createFixtureProvider } from "./providers/index.js";
+
+const JOHN_3 = {
+  translation: { id: "BSB", shortName: "BSB", textDirection: "ltr" },
+  chapter: {
+    number: 3,
+    content: [{ type: "verse", number: 16, content: ["For God so loved the world"] }],
+    footnotes: [],
+  },
+};
+
+/**
+ * Create a fixture provider whose fetchChapter is a spy
+ * @param {Function} [fetchChapter] - Replacement for the fixture's fetchChapter
+ * @returns {Object} Provider
+ */
+function createSpyProvider(fetchChapter) {
+  const provider = createFixtureProvider({ chapters: { "BSB:JHN:3": JOHN_3 } });
+  provider.fetchChapter = vi.fn(fetchChapter ?? provider.fetchChapter);
+  return provider;
+}
+
+/**
+ * Create an error like the ones providers throw for HTTP failures
+ * @param {number} status - HTTP status
+ * @returns {Error} Error with a status property
+ */
+function httpError(status) {
+  const error = new Error(`API request failed: ${status}`);
+  error.status = status;
+  return error;
+}
+
+beforeEach(() => {
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+  vi.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+describe("fixture provider", () => {
+  beforeEach(() => {
+    vi.stubGlobal(
+      "fetch",
+      vi.fn(() => Promise.reject(new Error("Network access in a test")))
+    );
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("serves chapters and books from memory", async () => {
+    const books = [{ id: "JHN", name: "John", numberOfChapters: 21 }];
+    setProvider(createFixtureProvider({ books: { BSB: books }, chapters: { "BSB:JHN:3": JOHN_3 } }));
+
+    expect(getProvider().name).toBe("fixture");
+    await expect(fetchChapter("John", 3, "BSB")).resolves.toEqual(JOHN_3);
+    await expect(fetchBooks("BSB")).resolves.toEqual(books);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it("rejects chapters it doesn't have as not found", async () => {
+    setProvider(createFixtureProvider({ chapters: { "BSB:JHN:3": JOHN_3 } }));
+
+    await expect(fetchChapter("John", 3, "KJV")).rejects.toMatchObject({ status: 404 });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
+
+describe("retries", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  it("retries server errors and returns the chapter once one succeeds", async () => {
+    const provider = createSpyProvider();
+    const fixtureFetch = provider.fetchChapter.getMockImplementation();
+    provider.fetchChapter
+      .mockRejectedValueOnce(httpError(503))
+      .mockRejectedValueOnce(httpError(500))
+      .mockImplementation(fixtureFetch);
+    setProvider(provider);
+
+    const request = fetchChapter("John", 3, "BSB");
+    await vi.runAllTimersAsync();
+
+    await expect(request).resolves.toEqual(JOHN_3);
+    expect(provider.fetchChapter).toHaveBeenCalledTimes(3);
+  });
+
+  it("gives up on server errors after MAX_RETRIES retries", async () => {
+    const provider = createSpyProvider(() => Promise.reject(httpError(502)));
+    setProvider(provider);
+
+    const request = fetchChapter("John", 3, "BSB");
+    const outcome = expect(request).rejects.toMatchObject({ status: 502 });
+    await vi.runAllTimersAsync();
+
+    await outcome;
+    expect(provider.fetchChapter).toHaveBeenCalledTimes(4);
+  });
+
+  it("retries network errors", async () => {
+    const provider = createSpyProvider(() => Promise.reject(new TypeError("Failed to fetch")));
+    setProvider(provider);
+
+    const request = fetchChapter("John", 3, "BSB");
+    const outcome = expect(request).rejects.toThrow(TypeError);
+    await vi.runAllTimersAsync();
+
+    await outcome;
+    expect(provider.fetchChapter).toHaveBeenCalledTimes(4);
+  });
+
+  it("doesn't retry a chapter that doesn't exist", async () => {
+    const provider = createSpyProvider();
+    setProvider(provider);
+
+    await expect(fetchChapter("John", 4, "BSB")).rejects.toMatchObject({ status: 404 });
+    expect(provider.fetchChapter).toHaveBeenCalledTimes(1);
+    expect(vi.getTimerCount()).toBe(0);
+  });
+
+  it("stops waiting to retry when the request is cancelled", async () => {
+    const provider = createSpyProvider(() => Promise.reject(httpError(503)));
+    setProvider(provider);
+    const controller = new AbortController();
+
+    const request = fetchChapter("John", 3, "BSB", { signal: controller.signal });
+    const outcome = expect(request).rejects.toMatchObject({ name: "AbortError" });
+    await vi.advanceTimersByTimeAsync(0);
+    expect(provider.fetchChapter).toHaveBeenCalledTimes(1);
+
+    controller.abort();
+    await outcome;
+    expect(vi.getTimerCount()).toBe(0);
+    expect(provider.fetchChapter).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("requests in progress", () => {
+  /**
+   * Create a provider whose chapter requests stay open until finished
+   * @returns {{provider: Object, finish: Function, signal: Function}} Provider, a function that resolves the
+   *   latest request, and one that returns the signal the provider was first given
+   */
+  function createOpenRequestProvider() {
+    let finish;
+    const provider = createSpyProvider(
+      (translation, bookId, chapter, { signal }) =>
+        new Promise((resolve, reject) => {
+          finish = () => resolve(JOHN_3);
+          signal.addEventListener("abort", () => reject(signal.reason));
+        })
+    );
+    setProvider(provider);
+    return { provider, finish: () => finish(), signal: () => provider.fetchChapter.mock.calls[0][3].signal };
+  }
+
+  /**
+   * Let the offline store lookup and the provider call run
+   */
+  async function settle() {
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+
+  it("shares one fetch between concurrent callers", async () => {
+    const { provider, finish } = createOpenRequestProvider();
+
+    const first = fetchChapter("John", 3, "BSB", { signal: new AbortController().signal });
+    const second = fetchChapter("John", 3, "BSB", { signal: new AbortController().signal });
+    await settle();
+    finish();
+
+    await expect(first).resolves.toEqual(JOHN_3);
+    await expect(second).resolves.toEqual(JOHN_3);
+    expect(provider.fetchChapter).toHaveBeenCalledTimes(1);
+  });
+
+  it("keeps the fetch going for the callers still waiting", async () => {
+    const { provider, finish, signal } = createOpenRequestProvider();
+    const leaving = new AbortController();
+
+    const first = fetchChapter("John", 3, "BSB", { signal: leaving.signal });
+    const second = fetchChapter("John", 3, "BSB", { signal: new AbortController().signal });
+    await settle();
+    leaving.abort();
+
+    await expect(first).rejects.toMatchObject({ name: "AbortError" });
+    expect(signal().aborted).toBe(false);
+    finish();
+    await expect(second).resolves.toEqual(JOHN_3);
+    expect(provider.fetchChapter).toHaveBeenCalledTimes(1);
+  });
+
+  it("cancels the fetch once every caller has given up", async () => {
+    const { provider, signal } = createOpenRequestProvider();
+    const callers = [new AbortController(), new AbortController()];
+
+    const requests = callers.map((caller) => fetchChapter("John", 3, "BSB", { signal: caller.signal }));
+    await settle();
+    callers.forEach((caller) => caller.abort());
+
+    for (const request of requests) {
+      await expect(request).rejects.toMatchObject({ name: "AbortError" });
+    }
+    expect(signal().aborted).toBe(true);
+
+    // A later request starts afresh
+    fetchChapter("John", 3, "BSB");
+    await settle();
+    expect(provider.fetchChapter).toHaveBeenCalledTimes(2);
+  });
+
+  it("keeps the fetch going for a caller without a signal", async () => {
+    const { finish, signal } = createOpenRequestProvider();
+    const leaving = new AbortController();
+
+    const first = fetchChapter("John", 3, "BSB", { signal: leaving.signal });
+    const second = fetchChapter("John", 3, "BSB");
+    await settle();
+    leaving.abort();
+
+    await expect(first).rejects.toMatchObject({ name: "AbortError" });
+    expect(signal().aborted).toBe(false);
+    finish();
+    await expect(second).resolves.toEqual(JOHN_3);
+  });
+
+  it("doesn't start a fetch for a caller that has already given up", async () => {
+    const { provider } = createOpenRequestProvider();
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(fetchChapter("John", 3, "BSB", { signal: controller.signal })).rejects.toMatchObject({
+      name: "AbortError",
+    });
+    await settle();
+    expect(provider.fetchChapter).not.toHaveBeenCalled();
+  });
+});
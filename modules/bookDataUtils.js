@@ -3,7 +3,7 @@
  * Provides helper functions for sorting, filtering, and building book data structures
  */
 
-import { categories } from '/data.js';
+import { categories, bookAbbreviations } from '/data.js';
 
 /**
  * Extract the first alphabetic character from a book name
@@ -107,3 +107,59 @@ export function buildLetterToBookIndex(allBooks) {
   });
   return letterToBookIndex;
 }
+
+/**
+ * Build a URL-friendly slug for a book name
+ *
+ * @param {string} bookName - Book name (e.g., "1 Corinthians")
+ * @returns {string} Lowercase, hyphenated slug
+ *
+ * @example
+ * getBookSlug("1 Corinthians") // Returns "1-corinthians"
+ * getBookSlug("Song of Solomon") // Returns "song-of-solomon"
+ */
+export function getBookSlug(bookName) {
+  return bookName.toLowerCase().replace(/\s+/g, '-');
+}
+
+/**
+ * Find the index of a book from its slug or API abbreviation
+ *
+ * @param {Array<Object>} allBooks - Array of book data from buildAllBooks()
+ * @param {string} slug - Book slug (e.g., "john") or abbreviation (e.g., "jhn")
+ * @returns {number} Index into allBooks, or -1 if no book matches
+ *
+ * @example
+ * findBookIndexBySlug(allBooks, "genesis") // Returns 0
+ * findBookIndexBySlug(allBooks, "1co") // Returns 45
+ */
+export function findBookIndexBySlug(allBooks, slug) {
+  const normalized = slug.toLowerCase();
+  return allBooks.findIndex(
+    (item) => getBookSlug(item.book) === normalized || bookAbbreviations[item.book]?.toLowerCase() === normalized
+  );
+}
+
+/**
+ * Format a human-readable reference for a chapter, verse or verse range
+ *
+ * @param {string} book - Book name
+ * @param {number} chapter - Chapter number
+ * @param {number|null} [verseStart] - First verse, if any
+ * @param {number|null} [verseEnd] - Last verse, if a range
+ * @returns {string} Reference text
+ *
+ * @example
+ * formatReference("John", 3) // Returns "John 3"
+ * formatReference("John", 3, 16) // Returns "John 3:16"
+ * formatReference("John", 3, 16, 18) // Returns "John 3:16–18"
+ */
+export function formatReference(book, chapter, verseStart = null, verseEnd = null) {
+  if (!verseStart) {
+    return `${book} ${chapter}`;
+  }
+  if (verseEnd && verseEnd !== verseStart) {
+    return `${book} ${chapter}:${verseStart}–${verseEnd}`;
+  }
+  return `${book} ${chapter}:${verseStart}`;
+}
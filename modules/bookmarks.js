@@ -0,0 +1,129 @@
+/**
+ * Bookmarks - saved places at chapter or verse level, stored locally
+ * Emits BOOKMARKS_CHANGED whenever the list changes so views can refresh their indicators
+ */
+
+import { createStore } from "./storage.js";
+import { eventBus, Events } from "./eventBus.js";
+
+/**
+ * Schema history:
+ *   v1 - Array of { id, book, chapter, verse, label, createdAt }
+ */
+const bookmarkStore = createStore("bookmarks", {
+  version: 1,
+  defaults: () => [],
+});
+
+let bookmarks = bookmarkStore.load();
+
+/**
+ * @typedef {Object} Bookmark
+ * @property {string} id - Unique identifier
+ * @property {string} book - Book name (e.g., "John")
+ * @property {number} chapter - Chapter number
+ * @property {number|null} verse - Verse number, or null for a chapter bookmark
+ * @property {string} label - Optional user label
+ * @property {number} createdAt - Creation timestamp (ms since epoch)
+ */
+
+/**
+ * Save bookmarks and notify listeners
+ */
+function persist() {
+  bookmarkStore.save(bookmarks);
+  eventBus.emit(Events.BOOKMARKS_CHANGED, getBookmarks());
+}
+
+/**
+ * Get all bookmarks, newest first
+ * @returns {Array<Bookmark>} Copy of the bookmark list
+ */
+export function getBookmarks() {
+  return [...bookmarks].sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Find the bookmark for an exact place
+ * @param {string} book - Book name
+ * @param {number} chapter - Chapter number
+ * @param {number|null} [verse] - Verse number, or null for the chapter bookmark
+ * @returns {Bookmark|undefined} Matching bookmark
+ */
+export function findBookmark(book, chapter, verse = null) {
+  return bookmarks.find((item) => item.book === book && item.chapter === chapter && item.verse === verse);
+}
+
+/**
+ * Get every bookmark (chapter and verse level) within a chapter
+ * @param {string} book - Book name
+ * @param {number} chapter - Chapter number
+ * @returns {Array<Bookmark>} Bookmarks in the chapter
+ */
+export function getChapterBookmarks(book, chapter) {
+  return bookmarks.filter((item) => item.book === book && item.chapter === chapter);
+}
+
+/**
+ * Add a bookmark (or return the existing one for the same place)
+ * @param {Object} place - Place to bookmark
+ * @param {string} place.book - Book name
+ * @param {number} place.chapter - Chapter number
+ * @param {number|null} [place.verse] - Verse number
+ * @param {string} [place.label] - Optional label
+ * @returns {Bookmark} The bookmark
+ */
+export function addBookmark({ book, chapter, verse = null, label = "" }) {
+  const existing = findBookmark(book, chapter, verse);
+  if (existing) {
+    return existing;
+  }
+
+  const bookmark = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    book,
+    chapter,
+    verse,
+    label: label.trim(),
+    createdAt: Date.now(),
+  };
+  bookmarks = [...bookmarks, bookmark];
+  persist();
+  return bookmark;
+}
+
+/**
+ * Change a bookmark's label
+ * @param {string} id - Bookmark id
+ * @param {string} label - New label (empty to clear)
+ */
+export function updateBookmarkLabel(id, label) {
+  bookmarks = bookmarks.map((item) => (item.id === id ? { ...item, label: label.trim() } : item));
+  persist();
+}
+
+/**
+ * Remove a bookmark
+ * @param {string} id - Bookmark id
+ */
+export function removeBookmark(id) {
+  bookmarks = bookmarks.filter((item) => item.id !== id);
+  persist();
+}
+
+/**
+ * Add or remove the bookmark for a place
+ * @param {string} book - Book name
+ * @param {number} chapter - Chapter number
+ * @param {number|null} [verse] - Verse number, or null for the chapter
+ * @returns {boolean} True if the place is now bookmarked
+ */
+export function toggleBookmark(book, chapter, verse = null) {
+  const existing = findBookmark(book, chapter, verse);
+  if (existing) {
+    removeBookmark(existing.id);
+    return false;
+  }
+  addBookmark({ book, chapter, verse });
+  return true;
+}
@@ -0,0 +1,113 @@
+/**
+ * HTML renderer - turns the chapter model (chapterModel.js) into markup for standalone pages such as print exports
+ * Unlike chapterRenderer.js this builds a string for a file that leaves the app, so every piece of
+ * provider text goes through escapeHTML and nothing links back into the app.
+ */
+
+import { HIGHLIGHT_COLORS } from "./constants.js";
+import { escapeHTML } from "./htmlUtils.js";
+
+// Deepest poetry indentation shown; deeper lines are drawn at this level
+const MAX_INDENT = 3;
+
+/**
+ * Render the inlines of a heading or verse
+ * Poetry lines become blocks indented to their level; prose lines are separated by <br>s
+ * @param {Array<import("./chapterModel.js").Inline>} inlines - Inlines from the chapter model
+ * @param {boolean} showNotes - Whether to show footnote markers
+ * @returns {string} HTML string
+ */
+function renderInlines(inlines, showNotes) {
+  const lines = [[]];
+  inlines.forEach((inline) => {
+    if (inline.type === "line-break") {
+      lines.push([]);
+    } else {
+      lines[lines.length - 1].push(inline);
+    }
+  });
+
+  let html = "";
+  let previousWasProse = false;
+  lines.forEach((line) => {
+    const content = line
+      .map((inline) => {
+        if (inline.type === "text") {
+          const text = escapeHTML(inline.text);
+          return inline.wordsOfJesus ? `<span class="words-of-jesus">${text}</span>` : text;
+        }
+        if (inline.type === "note" && showNotes) {
+          return `<sup class="footnote-ref"><a href="#note-${inline.noteId}">${escapeHTML(inline.caller)}</a></sup>`;
+        }
+        return "";
+      })
+      .join("");
+    const indent = line.find((inline) => inline.type === "text")?.indent ?? 0;
+
+    if (indent > 0) {
+      html += `<span class="poetry-line indent-${Math.min(indent, MAX_INDENT)}">${content}</span>`;
+      previousWasProse = false;
+    } else {
+      html += (previousWasProse ? "<br>" : "") + content;
+      previousWasProse = true;
+    }
+  });
+
+  return html;
+}
+
+/**
+ * Render a chapter (or a slice of one, see sliceChapter) as HTML
+ * @param {import("./chapterModel.js").Chapter} chapter - Parsed chapter
+ * @param {Object} [options] - What to include
+ * @param {boolean} [options.verseNumbers=true] - Put each verse's number before it
+ * @param {boolean} [options.headings=true] - Include section headings
+ * @param {boolean} [options.footnotes=false] - Include note markers and the notes after the text
+ * @param {Object<number, string>} [options.highlights] - Verse number -> highlight color id (see HIGHLIGHT_COLORS)
+ * @returns {string} HTML string: a .passage element, followed by a .footnotes section when notes are included
+ */
+export function renderChapterHTML(
+  chapter,
+  { verseNumbers = true, headings = true, footnotes = false, highlights = {} } = {}
+) {
+  const colorIds = HIGHLIGHT_COLORS.map((color) => color.id);
+
+  const blocks = chapter.blocks
+    .map((block) => {
+      if (block.type === "heading") {
+        return headings ? `<h2 class="passage-heading">${renderInlines(block.inlines, false)}</h2>` : "";
+      }
+      if (block.type === "paragraph-break") {
+        return `<span class="paragraph-break"></span>`;
+      }
+      if (block.type === "verse") {
+        const classes = ["verse"];
+        if (block.inlines[0]?.indent > 0) classes.push("poetry");
+        if (colorIds.includes(highlights[block.number])) classes.push(`highlight-${highlights[block.number]}`);
+
+        const number = verseNumbers ? `<sup class="verse-number">${block.number}</sup> ` : "";
+        return `<span class="${classes.join(" ")}">${number}<span class="verse-text">${renderInlines(block.inlines, footnotes)}</span></span>`;
+      }
+      return "";
+    })
+    .join(" ");
+
+  const notes =
+    footnotes && chapter.footnotes.length > 0
+      ? `
+    <section class="footnotes">
+      ${chapter.footnotes
+        .map(
+          (footnote) => `
+        <p id="note-${footnote.noteId}">
+          <span class="footnote-caller">${escapeHTML(footnote.caller)}</span>
+          ${footnote.chapter && footnote.verse ? `<span class="footnote-reference">${footnote.chapter}:${footnote.verse}</span>` : ""}
+          ${escapeHTML(footnote.text)}
+        </p>`
+        )
+        .join("")}
+    </section>`
+      : "";
+
+  return `<div class="passage" dir="${chapter.textDirection}">${blocks}</div>${notes}`;
+}
@@ -0,0 +1,81 @@
+/**
+ * Markdown renderer - turns the chapter model (chapterModel.js) into Markdown for notes and export
+ * Headings become "###" headings, verse numbers are bold, poetry lines end in hard line breaks,
+ * and notes become Markdown footnotes ([^1]). Scripture text is escaped so it can't be read as formatting.
+ */
+
+// Em spaces survive Markdown rendering, where leading spaces would be dropped
+const INDENT = "\u2003";
+
+/**
+ * Escape characters Markdown would treat as formatting
+ * @param {string} text - Plain text
+ * @returns {string} Markdown-safe text
+ */
+export function escapeMarkdown(text) {
+  return text.replace(/[\\`*_[\]<>#|~]/g, "\\$&");
+}
+
+/**
+ * Render a chapter (or a slice of one, see sliceChapter) as Markdown
+ * @param {import("./chapterModel.js").Chapter} chapter - Parsed chapter
+ * @param {Object} [options] - What to include
+ * @param {boolean} [options.verseNumbers=true] - Put each verse's number (in bold) before it
+ * @param {boolean} [options.headings=true] - Include section headings
+ * @param {boolean} [options.footnotes=false] - Include notes as Markdown footnotes
+ * @returns {string} Markdown
+ *
+ * @example
+ * renderChapterMarkdown(sliceChapter(chapter, 1, 2), { footnotes: true })
+ * // "### The Creation\n\n**1** In the beginning God created the heavens and the earth.[^1] **2** Now the earth…"
+ */
+export function renderChapterMarkdown(chapter, { verseNumbers = true, headings = true, footnotes = false } = {}) {
+  let markdown = "";
+  const atLineStart = () => markdown === "" || markdown.endsWith("\n");
+
+  const appendInlines = (inlines) => {
+    inlines.forEach((inline) => {
+      if (inline.type === "text") {
+        markdown += (atLineStart() ? INDENT.repeat(inline.indent) : "") + escapeMarkdown(inline.text);
+      } else if (inline.type === "line-break") {
+        markdown += "\\\n";
+      } else if (inline.type === "note" && footnotes) {
+        markdown += `[^${inline.noteId}]`;
+      }
+    });
+  };
+
+  chapter.blocks.forEach((block) => {
+    if (block.type === "heading" && headings) {
+      markdown += "\n\n### ";
+      appendInlines(block.inlines.filter((inline) => inline.type !== "line-break"));
+      markdown += "\n\n";
+    } else if (block.type === "paragraph-break") {
+      markdown += "\n\n";
+    } else if (block.type === "verse") {
+      // Poetry starts each verse on a new line
+      const isPoetry = block.inlines[0]?.indent > 0;
+      markdown += atLineStart() ? "" : isPoetry ? "\\\n" : " ";
+      markdown += verseNumbers ? `**${block.number}** ` : "";
+      appendInlines(block.inlines);
+    }
+  });
+
+  if (footnotes && chapter.footnotes.length > 0) {
+    markdown += "\n\n";
+    markdown += chapter.footnotes
+      .map((footnote) => {
+        const reference = footnote.chapter && footnote.verse ? `${footnote.chapter}:${footnote.verse} ` : "";
+        return `[^${footnote.noteId}]: ${reference}${escapeMarkdown(footnote.text)}`;
+      })
+      .join("\n");
+  }
+
+  // Tidy spacing: single spaces within lines, at most one blank line between paragraphs
+  return markdown
+    .replace(/[^\S\n]+\n/g, "\n")
+    .replace(/\\\n\n/g, "\n\n")
+    .replace(/([^\s])[^\S\n]{2,}/g, "$1 ")
+    .replace(/\n{3,}/g, "\n\n")
+    .replace(/^\n+|\s+$/g, "");
+}
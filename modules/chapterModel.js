@@ -0,0 +1,263 @@
+/**
+ * Chapter model - provider JSON turned into a small, validated structure that every view renders from
+ * The reading view (chapterRenderer.js), copied text (chapterTextRenderer.js) and Markdown
+ * (chapterMarkdownRenderer.js) all start here, so none of them parse provider JSON or HTML themselves.
+ *
+ * Only strings and numbers survive parsing: anything of the wrong type in the provider data is dropped.
+ */
+
+/**
+ * @typedef {Object} Chapter
+ * @property {string|null} translation - Translation id
+ * @property {string|null} translationName - Short translation name for display (e.g. "BSB")
+ * @property {"ltr"|"rtl"} textDirection - Text direction of the translation
+ * @property {Array<Block>} blocks - Headings, verses and paragraph breaks in reading order
+ * @property {Array<Footnote>} footnotes - Notes on the chapter
+ */
+
+/**
+ * @typedef {{type: "heading", inlines: Array<Inline>}
+ *   | {type: "verse", number: number, inlines: Array<Inline>}
+ *   | {type: "paragraph-break"}} Block
+ */
+
+/**
+ * @typedef {{type: "text", text: string, indent: number, wordsOfJesus: boolean}
+ *   | {type: "note", noteId: string, caller: string}
+ *   | {type: "line-break"}} Inline
+ * indent is the poetry indentation level (0 for prose). Each poetry line starts after a line-break,
+ * so a text with an indent continues the line before it only when a note sits between them.
+ */
+
+/**
+ * @typedef {Object} Footnote
+ * @property {string} noteId - Id shared with the note's marker, unique within the chapter
+ *   (letters, digits, "_" and "-" only)
+ * @property {string} caller - Marker shown in the text (e.g. "a")
+ * @property {string} text - Note text
+ * @property {number|null} chapter - Chapter the note belongs to
+ * @property {number|null} verse - Verse the note belongs to
+ */
+
+/**
+ * Coerce a provider-supplied value to text
+ * @param {*} value - Value from chapter data
+ * @returns {string} Text ("" for missing values and objects)
+ */
+function toText(value) {
+  return typeof value === "string" || typeof value === "number" ? String(value) : "";
+}
+
+/**
+ * Coerce a provider-supplied value to a positive whole number
+ * @param {*} value - Value from chapter data
+ * @returns {number|null} Number, or null if it isn't one
+ */
+function toNumber(value) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+/**
+ * Reduce a provider-supplied id to characters that are safe in ids and selectors
+ * @param {*} value - Id from chapter data
+ * @returns {string} Sanitized id
+ */
+function toSafeId(value) {
+  return toText(value).replace(/[^\w-]/g, "");
+}
+
+/**
+ * Hand out the note ids for one chapter: sanitized provider ids, falling back to the note's position
+ * ("note-2") when an id sanitizes to nothing or to one that's already taken
+ * @returns {{footnote: function(*): string, marker: function(*): string}} Id for each footnote in turn,
+ *   and the id a marker links to - its footnote's, or one of its own if the chapter has no such note
+ */
+function createNoteIds() {
+  const used = new Set();
+  const byProviderId = new Map();
+
+  const next = (value) => {
+    let id = toSafeId(value);
+    for (let position = used.size + 1; !id || used.has(id); position++) {
+      id = `note-${position}`;
+    }
+    used.add(id);
+    return id;
+  };
+
+  return {
+    footnote(value) {
+      const id = next(value);
+      if (!byProviderId.has(value)) byProviderId.set(value, id);
+      return id;
+    },
+    marker(value) {
+      if (!byProviderId.has(value)) byProviderId.set(value, next(value));
+      return byProviderId.get(value);
+    },
+  };
+}
+
+/**
+ * Parse the inline content of a heading or verse
+ * @param {*} content - Content items from API (strings, or objects with text/poem/wordsOfJesus/noteId/lineBreak)
+ * @param {Map<*, Object>} footnotesById - Raw footnotes by their provider noteId
+ * @param {Object} noteIds - The chapter's note ids (see createNoteIds)
+ * @returns {Array<Inline>} Inlines
+ */
+function parseInlines(content, footnotesById, noteIds) {
+  if (!Array.isArray(content)) return [];
+
+  const inlines = content.flatMap((item) => {
+    if (typeof item === "string") {
+      return [{ type: "text", text: item, indent: 0, wordsOfJesus: false }];
+    }
+    if (!item || typeof item !== "object") {
+      return [];
+    }
+    if (item.text) {
+      return [
+        {
+          type: "text",
+          text: toText(item.text),
+          indent: toNumber(item.poem) ?? 0,
+          wordsOfJesus: item.wordsOfJesus === true,
+        },
+      ];
+    }
+    if (item.noteId !== undefined) {
+      const footnote = footnotesById.get(item.noteId);
+      return [
+        { type: "note", noteId: noteIds.marker(item.noteId), caller: toText(footnote ? footnote.caller : item.noteId) },
+      ];
+    }
+    if (item.lineBreak) {
+      return [{ type: "line-break" }];
+    }
+    return [];
+  });
+
+  // Providers send each poetry line as its own item, usually without a lineBreak between them
+  return inlines.flatMap((inline, index) => {
+    const previous = inlines[index - 1];
+    return inline.type === "text" && inline.indent > 0 && previous?.type === "text"
+      ? [{ type: "line-break" }, inline]
+      : [inline];
+  });
+}
+
+/**
+ * Parse provider chapter JSON into the chapter model
+ * @param {Object} chapterData - Chapter data from the provider
+ * @returns {Chapter|null} Chapter, or null if the data has no content
+ */
+export function parseChapter(chapterData) {
+  const content = chapterData?.chapter?.content;
+  if (!Array.isArray(content)) {
+    console.error("Invalid chapter data structure:", chapterData);
+    return null;
+  }
+
+  const rawFootnotes = Array.isArray(chapterData.chapter.footnotes)
+    ? chapterData.chapter.footnotes.filter((footnote) => footnote && typeof footnote === "object")
+    : [];
+  // A marker links to the first note with its id
+  const footnotesById = new Map();
+  rawFootnotes.forEach((footnote) => {
+    if (!footnotesById.has(footnote.noteId)) footnotesById.set(footnote.noteId, footnote);
+  });
+
+  const noteIds = createNoteIds();
+  const footnotes = rawFootnotes.map((footnote) => ({
+    noteId: noteIds.footnote(footnote.noteId),
+    caller: toText(footnote.caller),
+    text: toText(footnote.text),
+    chapter: toNumber(footnote.reference?.chapter),
+    verse: toNumber(footnote.reference?.verse),
+  }));
+
+  const blocks = content.flatMap((item) => {
+    if (item?.type === "heading") {
+      return [{ type: "heading", inlines: parseInlines(item.content, footnotesById, noteIds) }];
+    }
+    if (item?.type === "line_break") {
+      return [{ type: "paragraph-break" }];
+    }
+    if (item?.type === "verse") {
+      const number = toNumber(item.number);
+      return number ? [{ type: "verse", number, inlines: parseInlines(item.content, footnotesById, noteIds) }] : [];
+    }
+    return [];
+  });
+
+  const translation = chapterData.translation ?? {};
+  return {
+    translation: toText(translation.id) || null,
+    translationName: toText(translation.shortName) || null,
+    textDirection: translation.textDirection === "rtl" ? "rtl" : "ltr",
+    blocks,
+    footnotes,
+  };
+}
+
+/**
+ * Get the plain text of some inlines, without footnote markers
+ * @param {Array<Inline>} inlines - Inlines
+ * @returns {string} Text on one line (line breaks become spaces)
+ */
+export function getInlineText(inlines) {
+  return inlines
+    .map((inline) => (inline.type === "text" ? inline.text : inline.type === "line-break" ? " " : ""))
+    .join("")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Get the verses of a chapter as plain text, without headings or footnote markers
+ * @param {Chapter|null} chapter - Parsed chapter
+ * @param {Object} [range] - Verses to include (default: all)
+ * @param {number} [range.verseStart] - First verse
+ * @param {number} [range.verseEnd] - Last verse
+ * @returns {Array<{number: number, text: string, inlines: Array<Inline>}>} Verses in chapter order,
+ *   with their inlines for views that keep the formatting
+ */
+export function getVerses(chapter, { verseStart = 1, verseEnd = Infinity } = {}) {
+  return (chapter?.blocks ?? [])
+    .filter((block) => block.type === "verse" && block.number >= verseStart && block.number <= verseEnd)
+    .map((block) => ({ number: block.number, text: getInlineText(block.inlines), inlines: block.inlines }));
+}
+
+/**
+ * Narrow a chapter to a range of verses, keeping the headings and breaks inside it
+ * and the notes whose markers it contains
+ * @param {Chapter} chapter - Parsed chapter
+ * @param {number|null} verseStart - First verse (null for the whole chapter)
+ * @param {number|null} [verseEnd] - Last verse (default: verseStart)
+ * @returns {Chapter} Chapter holding only that range
+ */
+export function sliceChapter(chapter, verseStart, verseEnd = verseStart) {
+  if (!verseStart) return chapter;
+
+  const blocks = [];
+  let pending = [];
+  chapter.blocks.forEach((block) => {
+    if (block.type !== "verse") {
+      // Headings and breaks belong to the verse that follows them
+      pending.push(block);
+    } else if (block.number >= verseStart && block.number <= verseEnd) {
+      blocks.push(...pending, block);
+      pending = [];
+    } else {
+      pending = [];
+    }
+  });
+
+  const noteIds = new Set(
+    blocks.flatMap((block) =>
+      (block.inlines ?? []).filter((inline) => inline.type === "note").map((inline) => inline.noteId)
+    )
+  );
+  return { ...chapter, blocks, footnotes: chapter.footnotes.filter((footnote) => noteIds.has(footnote.noteId)) };
+}
@@ -0,0 +1,215 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { getVerses, parseChapter } from "./chapterModel.js";
+
+/**
+ * Wrap chapter content in the API format
+ * @param {Array} content - Chapter content items
+ * @param {Array} [footnotes] - Chapter footnotes
+ * @returns {Object} Chapter data
+ */
+function chapterData(content, footnotes = []) {
+  return { translation: { id: "BSB", shortName: "BSB" }, chapter: { number: 1, content, footnotes } };
+}
+
+/**
+ * Parse a single verse's content
+ * @param {Array} content - Verse content items
+ * @param {Array} [footnotes] - Chapter footnotes
+ * @returns {Array<Object>} The verse's inlines
+ */
+function parseVerse(content, footnotes) {
+  return parseChapter(chapterData([{ type: "verse", number: 1, content }], footnotes)).blocks[0].inlines;
+}
+
+beforeEach(() => {
+  vi.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe("parseChapter", () => {
+  it("parses headings, verses, poetry, words of Jesus, notes and paragraph breaks", () => {
+    const chapter = parseChapter(
+      chapterData(
+        [
+          { type: "heading", content: ["The Beatitudes"] },
+          { type: "verse", number: 3, content: [{ text: "Blessed are the poor", poem: 1 }, { noteId: 0 }] },
+          { type: "line_break" },
+          { type: "verse", number: 4, content: [{ text: "Blessed are those who mourn", wordsOfJesus: true }] },
+        ],
+        [{ noteId: 0, caller: "a", text: "Or humble", reference: { chapter: 5, verse: 3 } }]
+      )
+    );
+
+    expect(chapter).toEqual({
+      translation: "BSB",
+      translationName: "BSB",
+      textDirection: "ltr",
+      blocks: [
+        { type: "heading", inlines: [{ type: "text", text: "The Beatitudes", indent: 0, wordsOfJesus: false }] },
+        {
+          type: "verse",
+          number: 3,
+          inlines: [
+            { type: "text", text: "Blessed are the poor", indent: 1, wordsOfJesus: false },
+            { type: "note", noteId: "0", caller: "a" },
+          ],
+        },
+        { type: "paragraph-break" },
+        {
+          type: "verse",
+          number: 4,
+          inlines: [{ type: "text", text: "Blessed are those who mourn", indent: 0, wordsOfJesus: true }],
+        },
+      ],
+      footnotes: [{ noteId: "0", caller: "a", text: "Or humble", chapter: 5, verse: 3 }],
+    });
+  });
+
+  it("starts each poetry line after the one before it on a new line", () => {
+    const inlines = parseVerse([
+      { text: "The LORD is my shepherd;", poem: 1 },
+      { text: "I shall not want.", poem: 2 },
+    ]);
+
+    expect(inlines.map((inline) => inline.type)).toEqual(["text", "line-break", "text"]);
+  });
+
+  it("keeps markup in provider text as plain text", () => {
+    const inlines = parseVerse(["<script>alert(1)</script>", { text: '<img src=x onerror="alert(1)">' }]);
+
+    expect(inlines.map((inline) => inline.text)).toEqual([
+      "<script>alert(1)</script>",
+      '<img src=x onerror="alert(1)">',
+    ]);
+  });
+
+  it("drops values of the wrong type", () => {
+    const trap = {
+      toString() {
+        throw new Error("Provider object was converted to text");
+      },
+    };
+    const inlines = parseVerse([
+      42,
+      null,
+      true,
+      ["nested"],
+      { text: { text: "object text" } },
+      { text: trap, poem: "deep" },
+      { noteId: { id: 1 } },
+      { unknown: "inline" },
+      { lineBreak: "yes" },
+    ]);
+
+    expect(inlines).toEqual([
+      { type: "text", text: "", indent: 0, wordsOfJesus: false },
+      { type: "text", text: "", indent: 0, wordsOfJesus: false },
+      { type: "note", noteId: "note-1", caller: "" },
+      { type: "line-break" },
+    ]);
+  });
+
+  it("drops blocks of unknown or non-string types and verses without a number", () => {
+    const chapter = parseChapter(
+      chapterData([
+        { type: "script", content: ["alert(1)"] },
+        { type: ["verse"], number: 1, content: ["array type"] },
+        { type: { toString: () => "verse" }, number: 2, content: ["object type"] },
+        { type: "verse", number: "1; alert(1)", content: ["bad number"] },
+        { type: "verse", number: -1, content: ["negative number"] },
+        { type: "verse", number: 5, content: "not an array" },
+        null,
+        "verse",
+      ])
+    );
+
+    expect(chapter.blocks).toEqual([{ type: "verse", number: 5, inlines: [] }]);
+  });
+
+  it("strips note ids down to characters that are safe in ids and selectors", () => {
+    const inlines = parseVerse([{ noteId: '0" onclick="alert(1)' }], [{ noteId: '0" onclick="alert(1)', caller: "a" }]);
+
+    expect(inlines).toEqual([{ type: "note", noteId: "0onclickalert1", caller: "a" }]);
+  });
+
+  it("numbers notes whose ids are empty or taken once sanitized, keeping markers linked to their notes", () => {
+    const chapter = parseChapter(
+      chapterData(
+        [
+          {
+            type: "verse",
+            number: 1,
+            content: [{ noteId: "a<b>" }, { noteId: "ab" }, { noteId: "<>" }, { noteId: "x" }],
+          },
+        ],
+        [
+          { noteId: "a<b>", caller: "a" },
+          { noteId: "ab", caller: "b" },
+          { noteId: "<>", caller: "c" },
+          { noteId: "a<b>", caller: "d" },
+        ]
+      )
+    );
+
+    expect(chapter.footnotes.map((footnote) => footnote.noteId)).toEqual(["ab", "note-2", "note-3", "note-4"]);
+    expect(chapter.blocks[0].inlines.map((inline) => `${inline.noteId} ${inline.caller}`)).toEqual([
+      "ab a",
+      "note-2 b",
+      "note-3 c",
+      "x x",
+    ]);
+  });
+
+  it("coerces footnotes and translation details to text, numbers and known values", () => {
+    const chapter = parseChapter({
+      translation: { id: { evil: true }, shortName: ["BSB"], textDirection: "rtl; color: red" },
+      chapter: {
+        content: [],
+        footnotes: [
+          { noteId: 1, caller: { text: "a" }, text: ["<b>note</b>"], reference: { chapter: "x", verse: 2.5 } },
+          "not a footnote",
+          null,
+        ],
+      },
+    });
+
+    expect(chapter).toEqual({
+      translation: null,
+      translationName: null,
+      textDirection: "ltr",
+      blocks: [],
+      footnotes: [{ noteId: "1", caller: "", text: "", chapter: null, verse: null }],
+    });
+  });
+
+  it("returns null for data without content", () => {
+    expect(parseChapter(null)).toBeNull();
+    expect(parseChapter({ chapter: { content: "<script>" } })).toBeNull();
+    expect(parseChapter({ chapter: { content: { length: 1, 0: "fake" } } })).toBeNull();
+  });
+});
+
+describe("getVerses", () => {
+  it("returns verse text without notes, joining poetry lines with spaces", () => {
+    const chapter = parseChapter(
+      chapterData([
+        { type: "heading", content: ["Heading"] },
+        {
+          type: "verse",
+          number: 1,
+          content: [{ text: "Line one", poem: 1 }, { text: "Line two", poem: 1 }, { noteId: 0 }],
+        },
+        { type: "verse", number: 2, content: ["Prose"] },
+      ])
+    );
+
+    expect(getVerses(chapter).map(({ number, text }) => ({ number, text }))).toEqual([
+      { number: 1, text: "Line one Line two" },
+      { number: 2, text: "Prose" },
+    ]);
+    expect(getVerses(chapter, { verseStart: 2 }).map(({ number }) => number)).toEqual([2]);
+  });
+});
@@ -0,0 +1,367 @@
+/**
+ * Chapter renderer - builds the reading view's chapter text as DOM nodes from the chapter model (chapterModel.js)
+ * Chapter data comes from providers we don't control, so nothing from it is ever parsed as HTML:
+ * text is inserted as text nodes, and elements, classes and attributes are limited to a fixed allowlist.
+ * Anything outside the allowlist is a bug in this module, so it throws rather than being dropped quietly.
+ */
+
+import { getBookSlug } from "./bookDataUtils.js";
+import { findReferences, describeReference } from "./referenceParser.js";
+
+// Elements the renderer may create, with the classes each may carry
+export const ALLOWED_ELEMENTS = {
+  div: [
+    "chapter-content",
+    "parallel-content",
+    "chapter-heading",
+    "parallel-row",
+    "parallel-header",
+    "parallel-label",
+    "parallel-cell",
+    "unavailable",
+    "footnotes-section",
+    "footnotes-title",
+    "footnote-item",
+    "error-message",
+  ],
+  span: [
+    "verse",
+    "poetry",
+    "verse-number",
+    "verse-text",
+    "poetry-line",
+    "indent-1",
+    "indent-2",
+    "indent-3",
+    "words-of-jesus",
+    "paragraph-break",
+    "footnote-caller",
+    "footnote-reference",
+    "footnote-text",
+  ],
+  sup: ["footnote-ref"],
+  a: ["cross-ref"],
+  br: [],
+};
+
+// Deepest poetry indentation shown; deeper lines are drawn at this level
+const MAX_INDENT = 3;
+
+// Attributes the renderer may set
+export const ALLOWED_ATTRIBUTES = [
+  "id",
+  "dir",
+  "href",
+  "title",
+  "data-verse",
+  "data-note-id",
+  "data-book",
+  "data-chapter",
+  "data-label",
+];
+
+/**
+ * Create an allowed element
+ * @param {string} tag - Element name
+ * @param {Object} [options] - Element contents
+ * @param {Array<string>} [options.classes] - Class names
+ * @param {Object<string, *>} [options.attributes] - Attribute values (converted to strings; null/undefined skipped)
+ * @param {Array<Node|string>} [options.children] - Child nodes; strings become text nodes
+ * @returns {HTMLElement} Element
+ * @throws {Error} If the element, a class or an attribute is not allowed
+ */
+function createElement(tag, { classes = [], attributes = {}, children = [] } = {}) {
+  const allowedClasses = ALLOWED_ELEMENTS[tag];
+  if (!allowedClasses) {
+    throw new Error(`Element not allowed in chapter text: ${tag}`);
+  }
+
+  const element = document.createElement(tag);
+  classes.forEach((className) => {
+    if (!allowedClasses.includes(className)) {
+      throw new Error(`Class not allowed on <${tag}>: ${className}`);
+    }
+    element.classList.add(className);
+  });
+
+  Object.entries(attributes).forEach(([name, value]) => {
+    if (!ALLOWED_ATTRIBUTES.includes(name)) {
+      throw new Error(`Attribute not allowed in chapter text: ${name}`);
+    }
+    if (value === null || value === undefined) return;
+    if (name === "href" && !String(value).startsWith("#/")) {
+      throw new Error(`Only in-app links are allowed in chapter text: ${value}`);
+    }
+    element.setAttribute(name, String(value));
+  });
+
+  element.append(...children);
+  return element;
+}
+
+/**
+ * Render an inline of a heading or verse
+ * @param {import("./chapterModel.js").Inline} inline - Inline from the chapter model
+ * @param {boolean} showNotes - Whether to show footnote markers
+ * @returns {Node|string|null} Node or text to append, or null for nothing
+ */
+function renderInline(inline, showNotes) {
+  if (inline.type === "text") {
+    return inline.wordsOfJesus
+      ? createElement("span", { classes: ["words-of-jesus"], children: [inline.text] })
+      : inline.text;
+  }
+  if (inline.type === "note") {
+    return showNotes
+      ? createElement("sup", {
+          classes: ["footnote-ref"],
+          attributes: { "data-note-id": inline.noteId },
+          children: [inline.caller],
+        })
+      : null;
+  }
+  if (inline.type === "line-break") {
+    return createElement("br");
+  }
+  return null;
+}
+
+/**
+ * Render the inlines of a heading or verse
+ * Poetry lines become blocks indented to their level; prose lines are separated by <br>s
+ * @param {Array<import("./chapterModel.js").Inline>} inlines - Inlines from the chapter model
+ * @param {boolean} showNotes - Whether to show footnote markers
+ * @returns {Array<Node|string>} Nodes and text
+ */
+function renderInlines(inlines, showNotes) {
+  const lines = [[]];
+  inlines.forEach((inline) => {
+    if (inline.type === "line-break") {
+      lines.push([]);
+    } else {
+      lines[lines.length - 1].push(inline);
+    }
+  });
+
+  const children = [];
+  let previousWasProse = false;
+  lines.forEach((line) => {
+    const nodes = line.map((inline) => renderInline(inline, showNotes)).filter((node) => node !== null);
+    const indent = line.find((inline) => inline.type === "text")?.indent ?? 0;
+
+    if (indent > 0) {
+      children.push(
+        createElement("span", {
+          classes: ["poetry-line", `indent-${Math.min(indent, MAX_INDENT)}`],
+          children: nodes,
+        })
+      );
+      previousWasProse = false;
+    } else {
+      if (previousWasProse) children.push(createElement("br"));
+      children.push(...nodes);
+      previousWasProse = true;
+    }
+  });
+
+  return children;
+}
+
+/**
+ * Render a section heading
+ * @param {Object} block - Heading block from the chapter model
+ * @param {boolean} showNotes - Whether to show footnote markers
+ * @returns {HTMLElement} Heading element
+ */
+function renderHeading(block, showNotes) {
+  return createElement("div", { classes: ["chapter-heading"], children: renderInlines(block.inlines, showNotes) });
+}
+
+/**
+ * Render one verse
+ * @param {Object} block - Verse block from the chapter model
+ * @param {boolean} showNotes - Whether to show footnote markers
+ * @returns {HTMLElement} Verse element
+ */
+function renderVerse(block, showNotes) {
+  return createElement("span", {
+    classes: block.inlines[0]?.indent > 0 ? ["verse", "poetry"] : ["verse"],
+    attributes: { "data-verse": block.number },
+    children: [
+      createElement("span", { classes: ["verse-number"], children: [String(block.number)] }),
+      " ",
+      createElement("span", { classes: ["verse-text"], children: renderInlines(block.inlines, showNotes) }),
+    ],
+  });
+}
+
+/**
+ * Render the text of a single verse, with its poetry lines and words of Jesus but without footnote markers
+ * @param {Array<import("./chapterModel.js").Inline>} inlines - The verse's inlines (see getVerses)
+ * @returns {Array<Node|string>} Nodes and text to append to the verse's container
+ */
+export function renderVerseText(inlines) {
+  return renderInlines(inlines, false);
+}
+
+/**
+ * Render footnote text, turning scripture references (e.g. "See Isaiah 7:14") into links to that passage
+ * @param {string} text - Footnote text
+ * @returns {Array<Node|string>} Nodes and text
+ */
+function renderCrossReferences(text) {
+  const children = [];
+  let position = 0;
+
+  findReferences(text).forEach(({ index, text: matchText, reference }) => {
+    const { book, chapter, verseStart } = reference;
+
+    children.push(
+      text.slice(position, index),
+      createElement("a", {
+        classes: ["cross-ref"],
+        attributes: {
+          href: `#/${getBookSlug(book)}/${chapter}${verseStart ? `/${verseStart}` : ""}`,
+          "data-book": book,
+          "data-chapter": chapter,
+          "data-verse": verseStart ?? "",
+          title: describeReference(reference),
+        },
+        children: [matchText],
+      })
+    );
+    position = index + matchText.length;
+  });
+
+  children.push(text.slice(position));
+  return children;
+}
+
+/**
+ * Render a chapter's footnotes as the notes section below the text
+ * @param {Array<import("./chapterModel.js").Footnote>} footnotes - Footnotes from the chapter model
+ * @returns {HTMLElement|null} Notes section, or null when there are no footnotes
+ */
+function renderFootnotes(footnotes) {
+  if (footnotes.length === 0) return null;
+
+  const items = footnotes.map((footnote) =>
+    createElement("div", {
+      classes: ["footnote-item"],
+      attributes: { id: `footnote-${footnote.noteId}` },
+      children: [
+        createElement("span", { classes: ["footnote-caller"], children: [footnote.caller] }),
+        " ",
+        createElement("span", {
+          classes: ["footnote-reference"],
+          children: [`(${footnote.chapter ?? ""}:${footnote.verse ?? ""})`],
+        }),
+        " ",
+        createElement("span", { classes: ["footnote-text"], children: renderCrossReferences(footnote.text) }),
+      ],
+    })
+  );
+
+  return createElement("div", {
+    classes: ["footnotes-section"],
+    children: [
+      createElement("div", { classes: ["footnotes-title"], children: ["Cross-References & Notes"] }),
+      ...items,
+    ],
+  });
+}
+
+/**
+ * Render a chapter for the reading view
+ * @param {import("./chapterModel.js").Chapter|null} chapter - Parsed chapter (null if the data was unusable)
+ * @returns {HTMLElement} The .chapter-content element
+ */
+export function renderChapter(chapter) {
+  if (!chapter) {
+    return createElement("div", { classes: ["error-message"], children: ["No verse data available"] });
+  }
+
+  // Headings, verses and paragraph breaks, separated by spaces like running text
+  const children = [];
+  chapter.blocks.forEach((block) => {
+    if (children.length > 0) children.push(" ");
+    if (block.type === "heading") children.push(renderHeading(block, true));
+    if (block.type === "paragraph-break") children.push(createElement("span", { classes: ["paragraph-break"] }));
+    if (block.type === "verse") children.push(renderVerse(block, true));
+  });
+
+  const footnotesSection = renderFootnotes(chapter.footnotes);
+  if (footnotesSection) children.push(footnotesSection);
+
+  return createElement("div", { classes: ["chapter-content"], children });
+}
+
+/**
+ * Split a chapter into per-verse cells, attaching each heading to the verse that follows it
+ * @param {import("./chapterModel.js").Chapter|null} chapter - Parsed chapter
+ * @param {boolean} showNotes - Whether to show footnote markers
+ * @returns {Map<number, Array<Node>>} Verse number -> nodes for that verse and the headings before it
+ */
+function renderVerseCells(chapter, showNotes) {
+  const cells = new Map();
+  let pendingHeadings = [];
+
+  (chapter?.blocks ?? []).forEach((block) => {
+    if (block.type === "heading") {
+      pendingHeadings.push(renderHeading(block, showNotes));
+    } else if (block.type === "verse") {
+      cells.set(block.number, [...pendingHeadings, renderVerse(block, showNotes)]);
+      pendingHeadings = [];
+    }
+  });
+
+  return cells;
+}
+
+/**
+ * Render the same chapter in several translations side by side, one row per verse
+ * Verses are aligned by number, so headings or verses one translation has and another lacks
+ * leave a gap rather than pushing the columns out of step. Footnotes come from the first translation only.
+ * @param {Array<{translation: string, chapter: import("./chapterModel.js").Chapter|null}>} columns - Parsed
+ *   chapters in column order (chapter is null when that translation couldn't be loaded)
+ * @returns {HTMLElement} The .chapter-content element
+ */
+export function renderParallelChapters(columns) {
+  const [primary] = columns;
+  const cellsByColumn = columns.map(({ chapter }, index) => renderVerseCells(chapter, index === 0));
+  const verseNumbers = [...new Set(cellsByColumn.flatMap((cells) => [...cells.keys()]))].sort((a, b) => a - b);
+  const labels = columns.map(({ translation, chapter }) => chapter?.translationName || translation);
+
+  const header = createElement("div", {
+    classes: ["parallel-row", "parallel-header"],
+    children: columns.map(({ chapter }, index) =>
+      chapter
+        ? createElement("div", { classes: ["parallel-label"], children: [labels[index]] })
+        : createElement("div", {
+            classes: ["parallel-label", "unavailable"],
+            children: [`${labels[index]} (unavailable)`],
+          })
+    ),
+  });
+
+  const rows = verseNumbers.map((number) =>
+    createElement("div", {
+      classes: ["parallel-row"],
+      children: columns.map(({ chapter }, index) =>
+        createElement("div", {
+          classes: ["parallel-cell"],
+          attributes: { dir: chapter?.textDirection ?? "ltr", "data-label": labels[index] },
+          children: cellsByColumn[index].get(number) ?? [],
+        })
+      ),
+    })
+  );
+
+  const footnotesSection = renderFootnotes(primary.chapter?.footnotes ?? []);
+  const element = createElement("div", {
+    classes: ["chapter-content", "parallel-content"],
+    children: [header, ...rows, ...(footnotesSection ? [footnotesSection] : [])],
+  });
+  element.style.setProperty("--parallel-columns", String(columns.length));
+  return element;
+}
@@ -0,0 +1,136 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { parseChapter } from "./chapterModel.js";
+import { ALLOWED_ATTRIBUTES, ALLOWED_ELEMENTS, renderChapter } from "./chapterRenderer.js";
+
+// Provider data written to break out of the text: markup, script links, hostile ids and wrong types
+const HOSTILE_CHAPTER = {
+  translation: { id: "BSB", shortName: "<b>BSB</b>", textDirection: "javascript:alert(1)" },
+  chapter: {
+    number: 1,
+    content: [
+      { type: "heading", content: ["<script>alert('heading')</script>"] },
+      {
+        type: "verse",
+        number: 1,
+        content: [
+          '<img src=x onerror="alert(1)">',
+          { text: "<a href='javascript:alert(1)'>link</a>", wordsOfJesus: true },
+          { noteId: '0"><script>alert(1)</script>' },
+          { text: { toString: () => "<script>alert('object')</script>" } },
+          { type: "script", content: "unknown inline type" },
+          { noteId: { nested: { deeper: { deepest: "<script>" } } } },
+        ],
+      },
+      {
+        type: "verse",
+        number: 2,
+        content: [{ text: "<iframe src='data:text/html,<script>alert(1)</script>'>", poem: "<style>" }],
+      },
+      { type: "<div onclick=alert(1)>", content: ["unknown block type"] },
+      {
+        type: "verse",
+        number: { toString: () => "<script>" },
+        content: [["deeply", ["nested", [{ text: "<script>" }]]]],
+      },
+      { type: "verse", number: 4, content: [{ text: "Poetry", poem: 99 }] },
+    ],
+    footnotes: [
+      {
+        noteId: '0"><script>alert(1)</script>',
+        caller: "<b>a</b>",
+        text: "See javascript:alert(1) and data:text/html;base64,PHNjcmlwdD4= or <a href='javascript:alert(1)'>John 3:16</a>",
+        reference: { chapter: "1", verse: "<script>" },
+      },
+      { noteId: ["array"], caller: { toString: () => "<script>" }, text: { text: "nested" } },
+    ],
+  },
+};
+
+/**
+ * Collect every element below (and including) a root
+ * @param {HTMLElement} root - Root element
+ * @returns {Array<HTMLElement>} Elements in document order
+ */
+const allElements = (root) => [root, ...root.querySelectorAll("*")];
+
+/**
+ * Check that a rendered tree only holds allowlisted elements, classes and attributes, and in-app links
+ * @param {HTMLElement} root - Rendered chapter
+ */
+function expectAllowlisted(root) {
+  allElements(root).forEach((element) => {
+    const tag = element.localName;
+    expect(Object.keys(ALLOWED_ELEMENTS)).toContain(tag);
+    element.classList.forEach((className) => expect(ALLOWED_ELEMENTS[tag]).toContain(className));
+    [...element.attributes].forEach(({ name }) => expect([...ALLOWED_ATTRIBUTES, "class"]).toContain(name));
+  });
+
+  root.querySelectorAll("[href]").forEach((link) => expect(link.getAttribute("href")).toMatch(/^#\//));
+}
+
+beforeEach(() => {
+  vi.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe("renderChapter", () => {
+  it("renders hostile chapter data with allowlisted elements, classes and attributes only", () => {
+    const root = renderChapter(parseChapter(HOSTILE_CHAPTER));
+
+    expectAllowlisted(root);
+    expect(root.querySelector("script, img, iframe, style, b")).toBeNull();
+    expect(allElements(root).some((element) => [...element.attributes].some(({ name }) => name.startsWith("on")))).toBe(
+      false
+    );
+  });
+
+  it("inserts provider markup as text", () => {
+    const root = renderChapter(parseChapter(HOSTILE_CHAPTER));
+
+    expect(root.querySelector(".chapter-heading").textContent).toBe("<script>alert('heading')</script>");
+    expect(root.querySelector('[data-verse="1"] .verse-text').childNodes[0]).toEqual(
+      expect.objectContaining({ nodeType: Node.TEXT_NODE, data: '<img src=x onerror="alert(1)">' })
+    );
+    expect(root.querySelector(".words-of-jesus").textContent).toBe("<a href='javascript:alert(1)'>link</a>");
+    expect(root.querySelector(".footnote-caller").textContent).toBe("<b>a</b>");
+  });
+
+  it("keeps only safe characters in note ids", () => {
+    const root = renderChapter(parseChapter(HOSTILE_CHAPTER));
+
+    expect([...root.querySelectorAll("[data-note-id]")].map((marker) => marker.dataset.noteId)).toEqual([
+      "0scriptalert1script",
+      "note-3",
+    ]);
+    expect(root.querySelector(".footnote-item").id).toBe("footnote-0scriptalert1script");
+  });
+
+  it("links scripture references in footnotes into the app and nothing else", () => {
+    const root = renderChapter(parseChapter(HOSTILE_CHAPTER));
+    const links = [...root.querySelectorAll("a")];
+
+    expect(links.map((link) => link.getAttribute("href"))).toEqual(["#/john/3/16"]);
+    expect(links[0].className).toBe("cross-ref");
+    expect(root.querySelector(".footnote-text").textContent).toContain("javascript:alert(1)");
+  });
+
+  it("drops unknown blocks and inlines and caps poetry indentation", () => {
+    const root = renderChapter(parseChapter(HOSTILE_CHAPTER));
+
+    expect([...root.querySelectorAll(".verse")].map((verse) => verse.dataset.verse)).toEqual(["1", "2", "4"]);
+    expect(root.textContent).not.toContain("unknown");
+    expect(root.querySelector('[data-verse="4"] .poetry-line').className).toBe("poetry-line indent-3");
+  });
+
+  it("renders nothing but a message for unusable data", () => {
+    const root = renderChapter(parseChapter({ chapter: { content: "<script>alert(1)</script>" } }));
+
+    expectAllowlisted(root);
+    expect(root.className).toBe("error-message");
+    expect(root.textContent).toBe("No verse data available");
+  });
+});
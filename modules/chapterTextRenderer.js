@@ -0,0 +1,66 @@
+/**
+ * Plain-text renderer - turns the chapter model (chapterModel.js) into text for copying and sharing
+ * Verses run together as paragraphs, poetry keeps its lines and indentation, and headings get lines of their own.
+ */
+
+const INDENT = "  ";
+
+/**
+ * Render a chapter (or a slice of one, see sliceChapter) as plain text
+ * @param {import("./chapterModel.js").Chapter} chapter - Parsed chapter
+ * @param {Object} [options] - What to include
+ * @param {boolean} [options.verseNumbers=true] - Put each verse's number before it
+ * @param {boolean} [options.headings=true] - Include section headings
+ * @param {boolean} [options.footnotes=false] - Mark notes in the text (e.g. "[a]") and list them at the end
+ * @returns {string} Text
+ *
+ * @example
+ * renderChapterText(sliceChapter(chapter, 16, 17), { headings: false })
+ * // "16 For God so loved the world… 17 For God did not send…"
+ */
+export function renderChapterText(chapter, { verseNumbers = true, headings = true, footnotes = false } = {}) {
+  let text = "";
+  const atLineStart = () => text === "" || text.endsWith("\n");
+
+  const appendInlines = (inlines) => {
+    inlines.forEach((inline) => {
+      if (inline.type === "text") {
+        text += (atLineStart() ? INDENT.repeat(inline.indent) : "") + inline.text;
+      } else if (inline.type === "line-break") {
+        text += "\n";
+      } else if (inline.type === "note" && footnotes) {
+        text += `[${inline.caller}]`;
+      }
+    });
+  };
+
+  chapter.blocks.forEach((block) => {
+    if (block.type === "heading" && headings) {
+      text += "\n\n";
+      appendInlines(block.inlines);
+      text += "\n\n";
+    } else if (block.type === "paragraph-break") {
+      text += "\n\n";
+    } else if (block.type === "verse") {
+      // Poetry starts each verse on a new line
+      const isPoetry = block.inlines[0]?.indent > 0;
+      text += atLineStart() ? "" : isPoetry ? "\n" : " ";
+      text += verseNumbers ? `${block.number} ` : "";
+      appendInlines(block.inlines);
+    }
+  });
+
+  if (footnotes && chapter.footnotes.length > 0) {
+    text += "\n\n";
+    text += chapter.footnotes
+      .map((footnote) => `[${footnote.caller}] ${footnote.chapter ?? ""}:${footnote.verse ?? ""} ${footnote.text}`)
+      .join("\n");
+  }
+
+  // Tidy spacing: single spaces within lines, at most one blank line between paragraphs
+  return text
+    .replace(/[^\S\n]+\n/g, "\n")
+    .replace(/([^\s])[^\S\n]{2,}/g, "$1 ")
+    .replace(/\n{3,}/g, "\n\n")
+    .replace(/^\n+|\s+$/g, "");
+}
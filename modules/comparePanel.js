@@ -0,0 +1,115 @@
+/**
+ * Compare view - one verse or range in two translations, with the words that differ marked
+ */
+
+import { formatReference } from "./bookDataUtils.js";
+import { fetchChapter } from "./bibleApiService.js";
+import { parseChapter, getVerses } from "./chapterModel.js";
+import { escapeHTML } from "./htmlUtils.js";
+import { openPanel } from "./panel.js";
+import { getReadingTranslations } from "./settings.js";
+import { showTranslationPanel } from "./translationPanel.js";
+import { diffWords } from "./wordDiff.js";
+
+/**
+ * Get the text of each verse in a range
+ * @param {Object} chapterData - Chapter data from API
+ * @param {number} verseStart - First verse
+ * @param {number} verseEnd - Last verse
+ * @returns {Map<number, string>} Verse number -> plain text (footnote markers and line breaks removed)
+ */
+function getVerseRange(chapterData, verseStart, verseEnd) {
+  return new Map(
+    getVerses(parseChapter(chapterData), { verseStart, verseEnd }).map(({ number, text }) => [number, text])
+  );
+}
+
+/**
+ * Build the diff of each verse in the range
+ * @param {Map<number, string>} before - Verses in the first translation
+ * @param {Map<number, string>} after - Verses in the second translation
+ * @returns {string} HTML string
+ */
+function renderVerseDiffs(before, after) {
+  const numbers = [...new Set([...before.keys(), ...after.keys()])].sort((a, b) => a - b);
+  if (numbers.length === 0) {
+    return `<div class="panel-empty">Neither translation has these verses.</div>`;
+  }
+
+  return numbers
+    .map((number) => {
+      const runs = diffWords(before.get(number) ?? "", after.get(number) ?? "")
+        .map(({ type, text }) => {
+          if (type === "removed") return `<del class="diff-removed">${escapeHTML(text)}</del>`;
+          if (type === "added") return `<ins class="diff-added">${escapeHTML(text)}</ins>`;
+          return escapeHTML(text);
+        })
+        .join(" ");
+      return `<p class="compare-verse"><span class="verse-number">${escapeHTML(number)}</span> ${runs}</p>`;
+    })
+    .join("");
+}
+
+/**
+ * Show two translations of a passage with the differing words marked
+ * Words only in the first translation are struck out; words only in the second are underlined
+ * @param {Object} passage - Passage to compare
+ * @param {string} passage.book - Book name
+ * @param {number} passage.chapter - Chapter number
+ * @param {number} passage.verseStart - First verse
+ * @param {number} [passage.verseEnd] - Last verse (default: verseStart)
+ * @param {Array<string>} [translations] - The two translation ids to compare
+ *   (default: the main translation and the first parallel one; asks for the second if there is none)
+ */
+export function showComparePanel({ book, chapter, verseStart, verseEnd = verseStart }, translations = null) {
+  const passage = { book, chapter, verseStart, verseEnd };
+  const [first, second] = translations || getReadingTranslations();
+
+  if (!second) {
+    showTranslationPanel({
+      title: "Compare with",
+      selected: [first],
+      onSelect: (translation) => showComparePanel(passage, [first, translation]),
+    });
+    return;
+  }
+
+  const content = document.createElement("div");
+  content.className = "compare-view";
+  content.innerHTML = `
+    <div class="compare-translations">
+      <button class="panel-button" data-compare-side="0"><del class="diff-removed">${escapeHTML(first)}</del></button>
+      <span>→</span>
+      <button class="panel-button" data-compare-side="1"><ins class="diff-added">${escapeHTML(second)}</ins></button>
+    </div>
+    <div class="compare-results"><div class="loading-spinner">Loading...</div></div>
+  `;
+
+  // Tap a translation name to swap in a different one
+  content.addEventListener("click", (e) => {
+    const button = e.target.closest("[data-compare-side]");
+    if (!button) return;
+
+    const side = Number(button.dataset.compareSide);
+    showTranslationPanel({
+      title: "Compare with",
+      selected: [first, second],
+      onSelect: (translation) =>
+        showComparePanel(passage, side === 0 ? [translation, second] : [first, translation]),
+    });
+  });
+
+  openPanel({ title: `Compare ${formatReference(book, chapter, verseStart, verseEnd)}`, content });
+
+  const results = content.querySelector(".compare-results");
+  Promise.all([fetchChapter(book, chapter, first), fetchChapter(book, chapter, second)])
+    .then(([before, after]) => {
+      results.innerHTML = renderVerseDiffs(
+        getVerseRange(before, verseStart, verseEnd),
+        getVerseRange(after, verseStart, verseEnd)
+      );
+    })
+    .catch(() => {
+      results.innerHTML = `<div class="panel-empty">Unable to load both translations. Please check your internet connection.</div>`;
+    });
+}
@@ -16,5 +16,17 @@ export const TAP_DELAY = 300;
 export const MODES = {
   BOOKS: "books",
   CHAPTERS: "chapters",
+  VERSES: "verses",
   READING: "reading",
+  BOOKMARKS: "bookmarks",
+  SEARCH: "search",
 };
+
+// Highlight color categories (id is stored, label is shown)
+export const HIGHLIGHT_COLORS = [
+  { id: "yellow", label: "Yellow" },
+  { id: "green", label: "Green" },
+  { id: "blue", label: "Blue" },
+  { id: "pink", label: "Pink" },
+  { id: "purple", label: "Purple" },
+];
@@ -0,0 +1,175 @@
+/**
+ * Footnotes and cross-references in reading mode
+ * Tapping a footnote marker pops up its footnote; tapping a reference inside a footnote opens that
+ * passage and offers a way back to where the reader was
+ */
+
+import { MODES } from "./constants.js";
+import { formatReference } from "./bookDataUtils.js";
+import { eventBus, Events } from "./eventBus.js";
+import { getCurrentMode, getCurrentBookIndex, getCurrentChapter } from "./navigationState.js";
+
+let elements = null;
+let allBooksRef = null;
+let navigate = null;
+
+// Where the reader was before following a cross-reference ({ bookIndex, chapter, verse, scrollTop }), or null
+let returnPoint = null;
+
+/**
+ * Show a footnote in the popup
+ * @param {string} noteId - Footnote id from the footnote-ref marker
+ */
+function showFootnote(noteId) {
+  const footnote = elements.letterDisplay.querySelector(`#footnote-${noteId}`);
+  if (!footnote) return;
+
+  elements.popup.querySelector(".footnote-popup-body").innerHTML = footnote.innerHTML;
+  elements.popup.dataset.noteId = noteId;
+  elements.popup.hidden = false;
+}
+
+/**
+ * Hide the footnote popup
+ */
+function hideFootnote() {
+  elements.popup.hidden = true;
+}
+
+/**
+ * Scroll the chapter to a footnote in the notes section and mark it
+ * @param {string} noteId - Footnote id
+ */
+function scrollToFootnote(noteId) {
+  const footnote = elements.letterDisplay.querySelector(`#footnote-${noteId}`);
+  if (!footnote) return;
+
+  elements.letterDisplay.querySelectorAll(".footnote-target").forEach((el) => el.classList.remove("footnote-target"));
+  footnote.classList.add("footnote-target");
+  footnote.scrollIntoView({ block: "center" });
+}
+
+/**
+ * Open the passage a cross-reference link points at, remembering the current spot
+ * @param {HTMLAnchorElement} link - Cross-reference link
+ */
+function followCrossReference(link) {
+  const bookIndex = allBooksRef.findIndex((item) => item.book === link.dataset.book);
+  if (bookIndex === -1) return;
+
+  // The verse whose footnote the link came from
+  const noteId = elements.popup.hidden
+    ? link.closest(".footnote-item")?.id.replace("footnote-", "")
+    : elements.popup.dataset.noteId;
+  const marker = elements.letterDisplay.querySelector(`.footnote-ref[data-note-id="${noteId}"]`);
+
+  returnPoint = {
+    bookIndex: getCurrentBookIndex(),
+    chapter: getCurrentChapter(),
+    verse: Number(marker?.closest(".verse")?.dataset.verse) || null,
+    scrollTop: elements.letterDisplay.querySelector(".chapter-content")?.scrollTop ?? 0,
+  };
+
+  hideFootnote();
+  navigate({
+    mode: MODES.READING,
+    bookIndex,
+    chapter: Number(link.dataset.chapter),
+    verse: Number(link.dataset.verse) || null,
+  });
+
+  const { book } = allBooksRef[returnPoint.bookIndex];
+  elements.backButton.textContent = `← Back to ${formatReference(book, returnPoint.chapter, returnPoint.verse)}`;
+  elements.backButton.hidden = false;
+}
+
+/**
+ * Return to the spot saved before following a cross-reference
+ */
+function goBack() {
+  if (!returnPoint) return;
+
+  const { bookIndex, chapter, scrollTop } = returnPoint;
+  const { book } = allBooksRef[bookIndex];
+  returnPoint = null;
+  elements.backButton.hidden = true;
+  navigate({ mode: MODES.READING, bookIndex, chapter });
+
+  // Restore the exact scroll position once the chapter has rendered - unless it fails to load
+  // or the reader moves on first, so the position never lands on some other chapter
+  const unsubscribers = [];
+  const stopWaiting = () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+  unsubscribers.push(
+    eventBus.on(Events.DISPLAY_READING, ({ book: shownBook, chapter: shownChapter, contentElement }) => {
+      if (shownBook !== book || shownChapter !== chapter || !contentElement) return;
+      stopWaiting();
+      contentElement.scrollTop = scrollTop;
+    }),
+    eventBus.on(Events.API_ERROR, (error) => {
+      if (error.book === book && error.chapter === chapter) stopWaiting();
+    }),
+    eventBus.on(Events.MODE_CHANGED, stopWaiting),
+    eventBus.on(Events.BOOK_CHANGED, stopWaiting),
+    eventBus.on(Events.CHAPTER_CHANGED, stopWaiting)
+  );
+}
+
+/**
+ * Initialize footnote popups and cross-reference links
+ * @param {Object} params - Configuration object
+ * @param {HTMLElement} params.letterDisplay - Display area containing rendered chapters
+ * @param {HTMLElement} params.popup - Footnote popup element
+ * @param {HTMLElement} params.backButton - "Back to where I was" button
+ * @param {Array} params.allBooks - Array of all book data
+ * @param {Function} params.navigateCallback - Callback to jump to a route ({ mode, bookIndex, chapter, verse })
+ */
+export function initCrossReferences({ letterDisplay, popup, backButton, allBooks, navigateCallback }) {
+  elements = { letterDisplay, popup, backButton };
+  allBooksRef = allBooks;
+  navigate = navigateCallback;
+
+  const handleLinkClick = (e) => {
+    const link = e.target.closest(".cross-ref");
+    if (!link) return false;
+
+    e.preventDefault();
+    followCrossReference(link);
+    return true;
+  };
+
+  letterDisplay.addEventListener("click", (e) => {
+    if (getCurrentMode() !== MODES.READING || handleLinkClick(e)) return;
+
+    const marker = e.target.closest(".footnote-ref");
+    if (!marker) return;
+
+    if (!popup.hidden && popup.dataset.noteId === marker.dataset.noteId) {
+      hideFootnote();
+    } else {
+      showFootnote(marker.dataset.noteId);
+    }
+  });
+
+  popup.addEventListener("click", (e) => {
+    if (handleLinkClick(e)) return;
+
+    if (e.target.closest(".footnote-popup-close")) {
+      hideFootnote();
+    } else if (e.target.closest(".footnote-popup-jump")) {
+      hideFootnote();
+      scrollToFootnote(popup.dataset.noteId);
+    }
+  });
+
+  backButton.addEventListener("click", goBack);
+
+  // The popup belongs to the chapter it was opened in
+  eventBus.on(Events.DISPLAY_READING, hideFootnote);
+  eventBus.on(Events.MODE_CHANGED, () => {
+    hideFootnote();
+    if (getCurrentMode() !== MODES.READING) {
+      returnPoint = null;
+      backButton.hidden = true;
+    }
+  });
+}
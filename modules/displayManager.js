@@ -4,15 +4,31 @@
  */
 
 import { bookSummaries, chapterCounts } from "/data.js";
-import { testamentColors } from "./constants.js";
-import { sortBooksByName, getFirstAlphabeticChar } from "./bookDataUtils.js";
-import { fetchChapter, formatVersesHTML } from "./bibleApiService.js";
+import { testamentColors, MODES } from "./constants.js";
+import { sortBooksByName, getFirstAlphabeticChar, formatReference } from "./bookDataUtils.js";
+import { fetchChapter, prefetchChapter, getCachedChapter } from "./bibleApiService.js";
+import { parseChapter, getVerses } from "./chapterModel.js";
+import { renderChapter, renderParallelChapters, renderVerseText } from "./chapterRenderer.js";
+import { eventBus, Events } from "./eventBus.js";
+import { escapeHTML } from "./htmlUtils.js";
+import { getBookmarks, findBookmark, getChapterBookmarks } from "./bookmarks.js";
+import { getChapterHighlights } from "./highlights.js";
+import { getNote, getChapterNotes } from "./notes.js";
+import { isChapterRead, getBookProgress } from "./readingProgress.js";
+import { getTranslation, getReadingTranslations } from "./settings.js";
+import { isBookOffline } from "./downloadManager.js";
+import { createSearchView } from "./searchView.js";
 import {
+  getCurrentMode,
   getCurrentBookIndex,
   setCurrentBookIndex,
   getPreviousTestament,
   setPreviousTestament,
   getCurrentChapter,
+  getCurrentVerse,
+  setCurrentVerse,
+  setVerseNumbers,
+  getCurrentBookmarkIndex,
 } from "./navigationState.js";
 
 // Chapter summaries - will be loaded lazily
@@ -70,6 +86,37 @@ async function loadChapterSummaries() {
 // DOM element cache
 let domCache = null;
 
+// Chapter shown in the chapter or reading view
+let displayedChapter = { book: null, chapter: null };
+
+// Books laid out along the slider in book view
+let sliderBooks = [];
+
+// Latest render - async renders check their token before touching the DOM, and older
+// chapter requests are cancelled, so a slow response never replaces a newer view
+let renderToken = 0;
+let renderController = null;
+
+/**
+ * Start a new render, cancelling the chapter requests of any render still in progress
+ * @returns {{token: number, signal: AbortSignal}} Token identifying this render, and a signal for its requests
+ */
+function beginRender() {
+  renderController?.abort();
+  renderController = new AbortController();
+  renderToken++;
+  return { token: renderToken, signal: renderController.signal };
+}
+
+/**
+ * Check whether a render is still the latest one
+ * @param {number} token - Token from beginRender()
+ * @returns {boolean} True if no newer render has started
+ */
+function isCurrentRender(token) {
+  return token === renderToken;
+}
+
 /**
  * Initialize DOM element cache
  * @param {Object} elements - DOM elements to cache
@@ -82,6 +129,22 @@ export function initDisplayManager(elements) {
     // Query sliderWrapper if not provided
     sliderWrapper: elements.sliderWrapper || document.querySelector(".slider-wrapper"),
   };
+
+  eventBus.on(Events.BOOKMARKS_CHANGED, refreshAnnotations);
+  eventBus.on(Events.HIGHLIGHTS_CHANGED, refreshAnnotations);
+  eventBus.on(Events.NOTES_CHANGED, refreshAnnotations);
+  eventBus.on(Events.READ_PROGRESS_CHANGED, refreshReadProgress);
+  eventBus.on(Events.OFFLINE_BOOKS_CHANGED, applyOfflineMarks);
+}
+
+/**
+ * Set the mode class on the container, and expose the mode on <body> for UI outside it (e.g. the toolbar)
+ * @param {HTMLElement} container - Main container element
+ * @param {string} mode - One of MODES
+ */
+function setViewMode(container, mode) {
+  container.className = `slider-container mode-${mode}`;
+  document.body.dataset.view = mode;
 }
 
 /**
@@ -106,7 +169,8 @@ export function updateDisplay(allBooks, index, filterLetter = null) {
   const { container, letterDisplay, bookCountDisplay, swipeHint, alphabetNav } = dom;
 
   // Set mode class on container
-  container.className = "slider-container mode-books";
+  setViewMode(container, MODES.BOOKS);
+  beginRender();
 
   setCurrentBookIndex(index);
   const currentItem = allBooks[index];
@@ -118,6 +182,7 @@ export function updateDisplay(allBooks, index, filterLetter = null) {
   const categoryColor = currentItem.categoryColor;
   const bookNumber = index + 1;
   const chapters = chapterCounts[currentBook];
+  const { read } = getBookProgress(currentBook);
 
   // Remove reading-mode class if present
   letterDisplay.classList.remove("reading-mode");
@@ -212,13 +277,18 @@ export function updateDisplay(allBooks, index, filterLetter = null) {
           <div class="testament">${testament}</div>
           <div class="letter">${displayCategory}</div>
     <div class="books">${booksHTML}</div>
-          <div class="chapter-count">${chapters} ${chapters === 1 ? "chapter" : "chapters"}</div>
+          <div class="chapter-count">${chapters} ${chapters === 1 ? "chapter" : "chapters"} · ${renderReadCount(read, chapters)}</div>
     <div class="summary">${summary}</div>
       `;
 
+  applyOfflineMarks();
+
   bookCountDisplay.textContent = `Book ${bookNumber} of 66`;
   swipeHint.textContent = `Swipe, use slider, or select letter\nto explore\n\nTap to select`;
 
+  sliderBooks = allBooks.map((item) => item.book);
+  renderBookSliderProgress();
+
   // Show slider and alphabet nav in book view
   if (dom.sliderWrapper) {
     dom.sliderWrapper.style.display = "block";
@@ -235,7 +305,8 @@ export async function updateChapterDisplay(allBooks) {
   const { container, letterDisplay, bookCountDisplay, swipeHint, alphabetNav } = dom;
 
   // Set mode class on container
-  container.className = "slider-container mode-chapters";
+  setViewMode(container, MODES.CHAPTERS);
+  const { token } = beginRender();
 
   const currentBookIndex = getCurrentBookIndex();
   const currentChapter = getCurrentChapter();
@@ -256,6 +327,7 @@ export async function updateChapterDisplay(allBooks) {
 
   // Lazy load chapter summaries
   await loadChapterSummaries();
+  if (!isCurrentRender(token)) return;
 
   // Get chapter summary from JSON
   // Handle special case: "Psalms" -> "Psalm" for chapter lookup
@@ -264,18 +336,25 @@ export async function updateChapterDisplay(allBooks) {
     bookNameForLookup = "Psalm";
   }
   const chapterKey = `${bookNameForLookup} ${currentChapter}`;
+  displayedChapter = { book: currentBook, chapter: currentChapter };
   const chapterSummary = chapterSummaries[chapterKey] || "";
+  const chapterNote = getNote(currentBook, currentChapter);
 
   letterDisplay.innerHTML = `
           <div class="testament">${testament}</div>
           <div class="letter">${categoryName}</div>
-          <div class="chapter-title">${currentBook} ${currentChapter}</div>
+          ${renderChapterTitle(currentBook, currentChapter)}
+          ${renderReadBadge(isChapterRead(currentBook, currentChapter))}
+          <button class="read-chapter">Read chapter</button>
           <div class="summary">${chapterSummary}</div>
+          ${chapterNote ? `<div class="chapter-note">${escapeHTML(chapterNote.text)}</div>` : ""}
       `;
 
   bookCountDisplay.textContent = `Chapter ${currentChapter} of ${chapters}`;
   swipeHint.textContent = "Double-tap to navigate back";
 
+  renderChapterSliderProgress(currentBook);
+
   // Show slider, hide alphabet nav in chapter view
   if (dom.sliderWrapper) {
     dom.sliderWrapper.style.display = "block";
@@ -283,6 +362,89 @@ export async function updateChapterDisplay(allBooks) {
   alphabetNav.style.display = "none";
 }
 
+/**
+ * Update display for verses mode (one verse of the current chapter at a time)
+ * @param {Array} allBooks - Array of all book data
+ */
+export async function updateVerseDisplay(allBooks) {
+  const dom = getDOMCache();
+  const { container, letterDisplay, bookCountDisplay, swipeHint, alphabetNav } = dom;
+
+  // Set mode class on container
+  setViewMode(container, MODES.VERSES);
+  const { token, signal } = beginRender();
+
+  const currentItem = allBooks[getCurrentBookIndex()];
+  const currentBook = currentItem.book;
+  const currentChapter = getCurrentChapter();
+  const testament = currentItem.testament;
+
+  // Remove reading-mode class if present
+  letterDisplay.classList.remove("reading-mode");
+
+  // Only change background when testament changes
+  if (testament !== getPreviousTestament()) {
+    document.body.style.background = testamentColors[testament];
+    setPreviousTestament(testament);
+  }
+
+  displayedChapter = { book: currentBook, chapter: currentChapter };
+  swipeHint.textContent = "Tap to read in context\n\nDouble-tap to navigate back";
+  alphabetNav.style.display = "none";
+  if (dom.sliderWrapper) {
+    dom.sliderWrapper.style.display = "block";
+  }
+  renderSliderProgress([]);
+
+  let verses;
+  try {
+    verses = getVerses(parseChapter(await fetchChapter(currentBook, currentChapter, getTranslation(), { signal })));
+    if (verses.length === 0) {
+      throw new Error(`No verses in ${formatReference(currentBook, currentChapter)}`);
+    }
+  } catch (error) {
+    if (!isCurrentRender(token)) return;
+    console.error("Error loading Bible chapter:", error);
+    letterDisplay.innerHTML = `
+          <div class="testament">${testament}</div>
+          <div class="letter">${formatReference(currentBook, currentChapter)}</div>
+          <div class="error-message">
+            Unable to load chapter content. Please check your internet connection and try again.
+          </div>
+      `;
+    bookCountDisplay.textContent = "";
+    return;
+  }
+
+  if (!isCurrentRender(token)) return;
+
+  // Verse numbers come from the chapter itself; a verse it doesn't have falls to the next one it does
+  setVerseNumbers(verses.map((item) => item.number));
+  const requested = verses.findIndex((item) => item.number >= (getCurrentVerse() ?? 1));
+  const index = requested === -1 ? verses.length - 1 : requested;
+  const verse = verses[index];
+  setCurrentVerse(verse.number);
+
+  const slider = getSliderInput();
+  if (slider) {
+    slider.min = 1;
+    slider.max = verses.length;
+    slider.value = index + 1;
+  }
+
+  letterDisplay.innerHTML = `
+          <div class="testament">${testament}</div>
+          <div class="letter">${formatReference(currentBook, currentChapter)}</div>
+    <div class="verse-focus">
+      <span class="verse-focus-number">${escapeHTML(verse.number)}</span>
+      <span class="verse-focus-text"></span>
+    </div>
+      `;
+  letterDisplay.querySelector(".verse-focus-text").append(...renderVerseText(verse.inlines));
+
+  bookCountDisplay.textContent = `Verse ${index + 1} of ${verses.length}`;
+}
+
 /**
  * Update display for reading mode (full chapter text)
  * @param {Array} allBooks - Array of all book data
@@ -292,7 +454,8 @@ export async function updateReadingDisplay(allBooks) {
   const { container, letterDisplay, bookCountDisplay, swipeHint, alphabetNav } = dom;
 
   // Set mode class on container
-  container.className = "slider-container mode-reading";
+  setViewMode(container, MODES.READING);
+  const { token, signal } = beginRender();
 
   const currentBookIndex = getCurrentBookIndex();
   const currentChapter = getCurrentChapter();
@@ -302,10 +465,11 @@ export async function updateReadingDisplay(allBooks) {
 
   // Add reading-mode class to reduce top spacing
   letterDisplay.classList.add("reading-mode");
+  displayedChapter = { book: currentBook, chapter: currentChapter };
 
   // Show loading state
   letterDisplay.innerHTML = `
-    <div class="chapter-title">${currentBook} ${currentChapter}</div>
+    ${renderChapterTitle(currentBook, currentChapter)}
     <div class="chapter-content">
       <div class="loading-spinner">Loading...</div>
     </div>
@@ -328,34 +492,462 @@ export async function updateReadingDisplay(allBooks) {
 
   // Fetch and display Bible verses
   try {
-    const chapterData = await fetchChapter(currentBook, currentChapter);
-    const versesHTML = formatVersesHTML(chapterData);
-
-    letterDisplay.innerHTML = `
-      <div class="chapter-title">${currentBook} ${currentChapter}</div>
-      ${versesHTML}
-    `;
-
-    // Apply testament background color to chapter title
-    const chapterTitleElement = letterDisplay.querySelector(".chapter-title");
-    if (chapterTitleElement) {
-      chapterTitleElement.style.background = testamentColors[testament];
-    }
+    const [translation, ...parallelTranslations] = getReadingTranslations();
+    const chapter = parseChapter(await fetchChapter(currentBook, currentChapter, translation, { signal }));
+    const chapterContent =
+      parallelTranslations.length > 0
+        ? renderParallelChapters([
+            { translation, chapter },
+            ...(await fetchParallelChapters(currentBook, currentChapter, parallelTranslations, signal)),
+          ])
+        : renderChapter(chapter);
+
+    // Tapped on to another chapter (or view) while this one was loading
+    if (!isCurrentRender(token)) return;
+
+    showReadingChapter(allBooks, {
+      chapterContent,
+      // Parallel columns set their own text direction
+      textDirection: parallelTranslations.length === 0 ? chapter?.textDirection : null,
+    });
   } catch (error) {
+    if (!isCurrentRender(token)) return;
     console.error("Error loading Bible chapter:", error);
-    letterDisplay.innerHTML = `
-      <div class="chapter-title">${currentBook} ${currentChapter}</div>
+    showReadingError(allBooks, error);
+  }
+}
+
+/**
+ * Render a loaded chapter in the reading view
+ * @param {Array} allBooks - Array of all book data
+ * @param {Object} chapter - Chapter to show
+ * @param {HTMLElement} chapter.chapterContent - Rendered chapter text (see chapterRenderer.js)
+ * @param {string|null} [chapter.textDirection] - "rtl" for right-to-left translations (e.g. Hebrew, Arabic)
+ * @param {string} [chapter.notice] - Message shown above the text (e.g. that it is a cached copy)
+ */
+function showReadingChapter(allBooks, { chapterContent, textDirection = null, notice = "" }) {
+  const { letterDisplay } = getDOMCache();
+  const currentBookIndex = getCurrentBookIndex();
+  const currentChapter = getCurrentChapter();
+  const { book: currentBook, testament } = allBooks[currentBookIndex];
+
+  // Chapter text is built as DOM nodes, never parsed as HTML
+  letterDisplay.innerHTML = renderChapterTitle(currentBook, currentChapter);
+  letterDisplay.append(chapterContent);
+
+  // Apply testament background color to chapter title
+  const chapterTitleElement = letterDisplay.querySelector(".chapter-title");
+  if (chapterTitleElement) {
+    chapterTitleElement.style.background = testamentColors[testament];
+  }
+
+  const contentElement = letterDisplay.querySelector(".chapter-content");
+  if (contentElement && textDirection) {
+    contentElement.dir = textDirection === "rtl" ? "rtl" : "ltr";
+  }
+  if (contentElement && notice) {
+    contentElement.insertAdjacentHTML("afterbegin", `<div class="reading-notice">${escapeHTML(notice)}</div>`);
+  }
+
+  applyVerseAnnotations(letterDisplay, currentBook, currentChapter);
+
+  // Manual read toggle at the end of the chapter text
+  contentElement?.insertAdjacentHTML(
+    "beforeend",
+    `<div class="chapter-end">${renderReadBadge(isChapterRead(currentBook, currentChapter))}</div>`
+  );
+
+  // Scroll to the verse named in the URL, if any
+  const targetVerse = getCurrentVerse();
+  if (targetVerse) {
+    scrollToVerse(letterDisplay, targetVerse);
+  }
+
+  eventBus.emit(Events.DISPLAY_READING, {
+    book: currentBook,
+    chapter: currentChapter,
+    contentElement,
+  });
+
+  prefetchAdjacentChapters(allBooks, currentBookIndex, currentChapter);
+}
+
+/**
+ * Show why a chapter couldn't be loaded, with a Retry button and a cached copy to read if there is one
+ * @param {Array} allBooks - Array of all book data
+ * @param {Error} error - Load error
+ */
+function showReadingError(allBooks, error) {
+  const { letterDisplay } = getDOMCache();
+  const currentChapter = getCurrentChapter();
+  const { book: currentBook, testament } = allBooks[getCurrentBookIndex()];
+  const translation = getTranslation();
+  const cached = getCachedChapter(currentBook, currentChapter, translation);
+
+  const message =
+    error.status === 404
+      ? `${formatReference(currentBook, currentChapter)} isn't available in ${escapeHTML(translation)}.`
+      : "Unable to load chapter content. Please check your internet connection and try again.";
+
+  letterDisplay.innerHTML = `
+      ${renderChapterTitle(currentBook, currentChapter)}
       <div class="chapter-content">
-        <div class="error-message">
-          Unable to load chapter content. Please check your internet connection and try again.
+        <div class="error-message">${message}</div>
+        <div class="error-actions">
+          <button class="panel-button" data-reading-action="retry">Retry</button>
+          ${cached ? `<button class="panel-button" data-reading-action="cached">Read cached ${escapeHTML(cached.translation)} version</button>` : ""}
         </div>
       </div>
     `;
 
-    // Apply testament background color to chapter title
-    const chapterTitleElement = letterDisplay.querySelector(".chapter-title");
-    if (chapterTitleElement) {
-      chapterTitleElement.style.background = testamentColors[testament];
+  // Apply testament background color to chapter title
+  const chapterTitleElement = letterDisplay.querySelector(".chapter-title");
+  if (chapterTitleElement) {
+    chapterTitleElement.style.background = testamentColors[testament];
+  }
+
+  letterDisplay.querySelector('[data-reading-action="retry"]').addEventListener("click", () => {
+    updateReadingDisplay(allBooks);
+  });
+  letterDisplay.querySelector('[data-reading-action="cached"]')?.addEventListener("click", () => {
+    beginRender();
+    const chapter = parseChapter(cached.data);
+    showReadingChapter(allBooks, {
+      chapterContent: renderChapter(chapter),
+      textDirection: chapter?.textDirection,
+      notice: `Showing a saved ${cached.translation} copy - it may be out of date.`,
+    });
+  });
+}
+
+/**
+ * Start loading the chapters the reader is likely to open next, in every translation being read
+ * @param {Array} allBooks - Array of all book data
+ * @param {number} bookIndex - Index of the book being read
+ * @param {number} chapter - Chapter being read
+ */
+function prefetchAdjacentChapters(allBooks, bookIndex, chapter) {
+  const book = allBooks[bookIndex].book;
+  const nextBook = allBooks[bookIndex + 1]?.book;
+  const adjacent = [];
+
+  if (chapter > 1) {
+    adjacent.push({ book, chapter: chapter - 1 });
+  }
+  if (chapter < chapterCounts[book]) {
+    adjacent.push({ book, chapter: chapter + 1 });
+  } else if (nextBook) {
+    adjacent.push({ book: nextBook, chapter: 1 });
+  }
+
+  getReadingTranslations().forEach((translation) => {
+    adjacent.forEach((item) => prefetchChapter(item.book, item.chapter, translation));
+  });
+}
+
+/**
+ * Fetch the extra translations shown beside the main one
+ * A translation that fails to load (e.g. it doesn't include this book) becomes an empty column
+ * @param {string} book - Book name
+ * @param {number} chapter - Chapter number
+ * @param {Array<string>} translations - Translation ids
+ * @param {AbortSignal} [signal] - Signal to cancel the requests
+ * @returns {Promise<Array<{translation: string, chapter: Object|null}>>} Parsed chapters in column order
+ */
+async function fetchParallelChapters(book, chapter, translations, signal) {
+  const results = await Promise.allSettled(
+    translations.map((translation) => fetchChapter(book, chapter, translation, { signal }))
+  );
+  return results.map((result, index) => ({
+    translation: translations[index],
+    chapter: result.status === "fulfilled" ? parseChapter(result.value) : null,
+  }));
+}
+
+/**
+ * Update display for bookmarks mode (one saved bookmark at a time)
+ */
+export function updateBookmarksDisplay() {
+  const dom = getDOMCache();
+  const { container, letterDisplay, bookCountDisplay, swipeHint, alphabetNav } = dom;
+
+  // Set mode class on container
+  setViewMode(container, MODES.BOOKMARKS);
+  beginRender();
+
+  // Remove reading-mode class if present
+  letterDisplay.classList.remove("reading-mode");
+
+  const bookmarks = getBookmarks();
+  alphabetNav.style.display = "none";
+  renderSliderProgress([]);
+
+  if (bookmarks.length === 0) {
+    letterDisplay.innerHTML = `
+          <div class="testament">Bookmarks</div>
+          <div class="bookmark-reference">No bookmarks yet</div>
+          <div class="summary">Tap ☆ next to a chapter title, or tap a verse number while reading, to save your place.</div>
+      `;
+    bookCountDisplay.textContent = "";
+    swipeHint.textContent = "Double-tap to navigate back";
+    if (dom.sliderWrapper) {
+      dom.sliderWrapper.style.display = "none";
     }
+    return;
+  }
+
+  const index = Math.min(getCurrentBookmarkIndex(), bookmarks.length - 1);
+  const bookmark = bookmarks[index];
+  const savedOn = new Date(bookmark.createdAt).toLocaleDateString(undefined, {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+  });
+
+  letterDisplay.innerHTML = `
+          <div class="testament">Bookmarks</div>
+          <div class="letter">Saved ${savedOn}</div>
+          <div class="bookmark-reference">${formatReference(bookmark.book, bookmark.chapter, bookmark.verse)}</div>
+          ${bookmark.label ? `<div class="summary">${escapeHTML(bookmark.label)}</div>` : ""}
+    <div class="bookmark-actions">
+      <button class="bookmark-action" data-bookmark-action="rename">${bookmark.label ? "Edit label" : "Add label"}</button>
+      <button class="bookmark-action" data-bookmark-action="delete">Delete</button>
+    </div>
+      `;
+
+  bookCountDisplay.textContent = `Bookmark ${index + 1} of ${bookmarks.length}`;
+  swipeHint.textContent = "Swipe or use slider to browse bookmarks\n\nTap to open";
+
+  // Slider only helps when there is more than one bookmark
+  if (dom.sliderWrapper) {
+    dom.sliderWrapper.style.display = bookmarks.length > 1 ? "block" : "none";
+  }
+}
+
+/**
+ * Update display for search mode
+ */
+export function updateSearchDisplay() {
+  const dom = getDOMCache();
+  const { container, letterDisplay, bookCountDisplay, swipeHint, alphabetNav } = dom;
+
+  // Set mode class on container
+  setViewMode(container, MODES.SEARCH);
+  beginRender();
+
+  letterDisplay.classList.remove("reading-mode");
+  letterDisplay.replaceChildren(createSearchView());
+
+  alphabetNav.style.display = "none";
+  renderSliderProgress([]);
+  bookCountDisplay.textContent = "";
+  swipeHint.textContent = "Double-tap to navigate back";
+  if (dom.sliderWrapper) {
+    dom.sliderWrapper.style.display = "none";
+  }
+}
+
+/**
+ * Scroll a rendered verse into view and mark it as the target
+ * @param {HTMLElement} letterDisplay - Display element containing the chapter
+ * @param {number} verse - Verse number
+ */
+function scrollToVerse(letterDisplay, verse) {
+  const verseElement = letterDisplay.querySelector(`.verse[data-verse="${verse}"]`);
+  if (verseElement) {
+    verseElement.classList.add("verse-target");
+    verseElement.scrollIntoView({ block: "center" });
+  }
+}
+
+/**
+ * Build the chapter title with its bookmark toggle
+ * @param {string} book - Book name
+ * @param {number} chapter - Chapter number
+ * @returns {string} HTML string
+ */
+function renderChapterTitle(book, chapter) {
+  const isBookmarked = Boolean(findBookmark(book, chapter));
+  return `<div class="chapter-title">${book} ${chapter}${renderBookmarkToggle(isBookmarked)}</div>`;
+}
+
+/**
+ * Build the star button that bookmarks the current chapter
+ * @param {boolean} isBookmarked - Whether the chapter is bookmarked
+ * @returns {string} HTML string
+ */
+function renderBookmarkToggle(isBookmarked) {
+  const label = isBookmarked ? "Remove chapter bookmark" : "Bookmark chapter";
+  return `<button class="bookmark-toggle${isBookmarked ? " active" : ""}" aria-label="${label}">${isBookmarked ? "★" : "☆"}</button>`;
+}
+
+/**
+ * Build the "n of m chapters read" label for a book
+ * @param {number} read - Chapters read
+ * @param {number} total - Chapters in the book
+ * @returns {string} HTML string
+ */
+function renderReadCount(read, total) {
+  return `<span class="read-count">${read} of ${total} chapters read</span>`;
+}
+
+/**
+ * Build the badge showing whether the chapter has been read (tap to toggle)
+ * @param {boolean} isRead - Whether the chapter is read
+ * @returns {string} HTML string
+ */
+function renderReadBadge(isRead) {
+  const label = isRead ? "Mark chapter unread" : "Mark chapter read";
+  return `<button class="read-badge${isRead ? " read" : ""}" aria-label="${label}">${isRead ? "✓ Read" : "Unread"}</button>`;
+}
+
+/**
+ * Get the range input inside the slider wrapper
+ * @returns {HTMLInputElement|null} Slider element
+ */
+function getSliderInput() {
+  return getDOMCache().sliderWrapper?.querySelector('input[type="range"]') ?? null;
+}
+
+/**
+ * Paint per-segment completion onto the slider track
+ * Each segment (a book or a chapter) is filled from its left edge in proportion to how much is read
+ * @param {Array<number>} fractions - Completion (0-1) of each slider segment, in slider order
+ */
+function renderSliderProgress(fractions) {
+  const slider = getSliderInput();
+  if (!slider) return;
+
+  if (!fractions.some((fraction) => fraction > 0)) {
+    slider.style.removeProperty("--slider-progress");
+    return;
+  }
+
+  const width = 100 / fractions.length;
+  const stops = fractions.flatMap((fraction, index) => {
+    const start = index * width;
+    const filled = start + fraction * width;
+    return [
+      `var(--color-slider-progress) ${start}%`,
+      `var(--color-slider-progress) ${filled}%`,
+      `var(--color-slider-track) ${filled}%`,
+      `var(--color-slider-track) ${start + width}%`,
+    ];
+  });
+  slider.style.setProperty("--slider-progress", `linear-gradient(to right, ${stops.join(", ")})`);
+}
+
+/**
+ * Show how much of each book has been read on the book view slider
+ */
+function renderBookSliderProgress() {
+  renderSliderProgress(
+    sliderBooks.map((book) => {
+      const { read, total } = getBookProgress(book);
+      return read / total;
+    })
+  );
+}
+
+/**
+ * Show which chapters of a book have been read on the chapter view slider
+ * @param {string} book - Book name
+ */
+function renderChapterSliderProgress(book) {
+  renderSliderProgress(
+    Array.from({ length: chapterCounts[book] }, (_, index) => (isChapterRead(book, index + 1) ? 1 : 0))
+  );
+}
+
+/**
+ * Mark bookmarked, highlighted and annotated verses in the rendered chapter
+ * @param {HTMLElement} letterDisplay - Display element containing the chapter
+ * @param {string} book - Book name
+ * @param {number} chapter - Chapter number
+ */
+function applyVerseAnnotations(letterDisplay, book, chapter) {
+  const bookmarkedVerses = new Set(getChapterBookmarks(book, chapter).map((item) => item.verse));
+  const highlightColors = getChapterHighlights(book, chapter);
+  const notedVerses = new Set(getChapterNotes(book, chapter).map((note) => note.verse));
+
+  letterDisplay.querySelectorAll(".verse[data-verse]").forEach((verseElement) => {
+    const verse = Number(verseElement.dataset.verse);
+    verseElement.classList.toggle("bookmarked", bookmarkedVerses.has(verse));
+
+    if (highlightColors[verse]) {
+      verseElement.dataset.highlight = highlightColors[verse];
+    } else {
+      delete verseElement.dataset.highlight;
+    }
+
+    // Note marker sits right after the verse number and opens the note
+    verseElement.querySelector(".note-marker")?.remove();
+    if (notedVerses.has(verse)) {
+      verseElement
+        .querySelector(".verse-number")
+        ?.insertAdjacentHTML("afterend", `<button class="note-marker" aria-label="Open note">✎</button>`);
+    }
+  });
+}
+
+/**
+ * Mark the books in the book view that can be read offline
+ */
+function applyOfflineMarks() {
+  if (getCurrentMode() !== MODES.BOOKS) return;
+
+  getDOMCache()
+    .letterDisplay.querySelectorAll(".book-item[data-book]")
+    .forEach((button) => {
+      const offline = isBookOffline(button.dataset.book);
+      button.classList.toggle("offline", offline);
+      button.title = offline ? "Available offline" : "";
+    });
+}
+
+/**
+ * Update bookmark, highlight and note indicators in the chapter or reading view after they change
+ */
+function refreshAnnotations() {
+  const mode = getCurrentMode();
+  if (mode !== MODES.CHAPTERS && mode !== MODES.READING) return;
+
+  const { letterDisplay } = getDOMCache();
+  const { book, chapter } = displayedChapter;
+
+  const toggle = letterDisplay.querySelector(".bookmark-toggle");
+  if (toggle) {
+    toggle.outerHTML = renderBookmarkToggle(Boolean(findBookmark(book, chapter)));
+  }
+  applyVerseAnnotations(letterDisplay, book, chapter);
+}
+
+/**
+ * Update read badges, counts and the slider track after reading progress changes
+ */
+function refreshReadProgress() {
+  const { letterDisplay } = getDOMCache();
+  const mode = getCurrentMode();
+
+  if (mode === MODES.BOOKS) {
+    const { read, total } = getBookProgress(sliderBooks[getCurrentBookIndex()]);
+    const count = letterDisplay.querySelector(".read-count");
+    if (count) {
+      count.outerHTML = renderReadCount(read, total);
+    }
+    renderBookSliderProgress();
+    return;
+  }
+
+  if (mode !== MODES.CHAPTERS && mode !== MODES.READING) return;
+
+  const { book, chapter } = displayedChapter;
+  const badge = letterDisplay.querySelector(".read-badge");
+  if (badge) {
+    badge.outerHTML = renderReadBadge(isChapterRead(book, chapter));
+  }
+
+  if (mode === MODES.CHAPTERS) {
+    renderChapterSliderProgress(book);
   }
 }
@@ -0,0 +1,220 @@
+/**
+ * Offline downloads - saves whole books of a translation into the offline store, one chapter at a time
+ * A download can be paused and resumed (also after a reload, since stored chapters are skipped),
+ * and the set of books fully available offline is kept for the book view
+ */
+
+import { bookAbbreviations, chapterCounts } from "/data.js";
+import { createStore } from "./storage.js";
+import { eventBus, Events } from "./eventBus.js";
+import { getProvider } from "./bibleApiService.js";
+import { getOfflineChapterKeys, saveOfflineChapter, deleteOfflineBook } from "./offlineStore.js";
+import { getTranslation } from "./settings.js";
+
+/**
+ * Schema history:
+ *   v1 - { translation, books } of the unfinished download, or null
+ */
+const downloadStore = createStore("downloads", {
+  version: 1,
+  defaults: () => null,
+});
+
+// Current download ({ translation, books, total, done, status, error }), or null
+// status: "running" | "paused" | "done"
+let download = null;
+
+// Bumped whenever a download starts, resumes or is cancelled, so a superseded fetch loop stops
+let downloadRun = 0;
+
+// Books of the chosen translation stored in full
+let offlineBooks = new Set();
+
+/**
+ * Get the current download
+ * @returns {{translation: string, books: Array<string>, total: number, done: number, status: string, error: string|null}|null}
+ *   Download progress, or null if nothing has been downloaded this session
+ */
+export function getDownload() {
+  return download;
+}
+
+/**
+ * Check whether a book of the chosen translation is stored in full
+ * @param {string} book - Book name
+ * @returns {boolean} True if every chapter is available offline
+ */
+export function isBookOffline(book) {
+  return offlineBooks.has(book);
+}
+
+/**
+ * Get the books of the chosen translation stored in full
+ * @returns {Array<string>} Book names
+ */
+export function getOfflineBooks() {
+  return [...offlineBooks];
+}
+
+/**
+ * Recompute which books of the chosen translation are stored in full
+ */
+export async function refreshOfflineBooks() {
+  const translation = getTranslation();
+  const storedChapters = await getOfflineChapterKeys(translation);
+
+  // The translation may have changed while the keys were loading
+  if (translation !== getTranslation()) return;
+
+  offlineBooks = new Set(
+    Object.keys(chapterCounts).filter((book) =>
+      Array.from({ length: chapterCounts[book] }, (_, index) => index + 1).every((chapter) =>
+        storedChapters.has(`${bookAbbreviations[book]}:${chapter}`)
+      )
+    )
+  );
+  eventBus.emit(Events.OFFLINE_BOOKS_CHANGED, { translation, books: getOfflineBooks() });
+}
+
+/**
+ * Tell listeners how the download is going
+ */
+function emitProgress() {
+  eventBus.emit(Events.DOWNLOAD_PROGRESS, { ...download });
+}
+
+/**
+ * Download chapters until the list is done or the download is paused
+ * @param {Array<{book: string, chapter: number}>} chapters - Chapters still to store
+ * @param {number} run - Run this loop belongs to
+ */
+async function runDownload(chapters, run) {
+  const current = download;
+  const provider = getProvider();
+  const isCurrentRun = () => run === downloadRun && current.status === "running";
+
+  for (const { book, chapter } of chapters) {
+    // Paused, cancelled or replaced by another download
+    if (!isCurrentRun()) return;
+
+    try {
+      const bookId = bookAbbreviations[book];
+      const data = await provider.fetchChapter(current.translation, bookId, chapter);
+      const saved = await saveOfflineChapter(current.translation, bookId, chapter, data);
+      if (!saved) {
+        throw new Error("This browser doesn't allow offline storage");
+      }
+    } catch (error) {
+      console.error(`Error downloading ${book} ${chapter}:`, error);
+      if (isCurrentRun()) {
+        current.status = "paused";
+        current.error = error.message;
+        emitProgress();
+      }
+      return;
+    }
+
+    current.done++;
+    if (chapter === chapterCounts[book]) {
+      refreshOfflineBooks();
+    }
+    emitProgress();
+  }
+
+  if (isCurrentRun()) {
+    current.status = "done";
+    downloadStore.clear();
+    refreshOfflineBooks();
+    emitProgress();
+  }
+}
+
+/**
+ * Work out which chapters of a download still need storing and start fetching them
+ */
+async function continueDownload() {
+  const current = download;
+  const run = ++downloadRun;
+  const storedChapters = await getOfflineChapterKeys(current.translation);
+  if (run !== downloadRun) return;
+
+  const chapters = current.books.flatMap((book) =>
+    Array.from({ length: chapterCounts[book] }, (_, index) => ({ book, chapter: index + 1 }))
+  );
+  const remaining = chapters.filter(
+    ({ book, chapter }) => !storedChapters.has(`${bookAbbreviations[book]}:${chapter}`)
+  );
+
+  current.total = chapters.length;
+  current.done = chapters.length - remaining.length;
+  emitProgress();
+  runDownload(remaining, run);
+}
+
+/**
+ * Start downloading books of a translation, replacing any unfinished download
+ * @param {Array<string>} books - Book names
+ * @param {string} [translation] - Translation id (default: the chosen translation)
+ */
+export function startDownload(books, translation = getTranslation()) {
+  download = { translation, books, total: 0, done: 0, status: "running", error: null };
+  downloadStore.save({ translation, books });
+  continueDownload();
+}
+
+/**
+ * Pause the running download after the chapter in progress
+ */
+export function pauseDownload() {
+  if (download?.status !== "running") return;
+
+  download.status = "paused";
+  emitProgress();
+}
+
+/**
+ * Resume a paused download
+ */
+export function resumeDownload() {
+  if (download?.status !== "paused") return;
+
+  download.status = "running";
+  download.error = null;
+  continueDownload();
+}
+
+/**
+ * Stop the download and forget it (chapters already stored are kept)
+ */
+export function cancelDownload() {
+  download = null;
+  downloadRun++;
+  downloadStore.clear();
+  eventBus.emit(Events.DOWNLOAD_PROGRESS, null);
+}
+
+/**
+ * Delete a book of the chosen translation from the offline store
+ * @param {string} book - Book name
+ */
+export async function removeOfflineBook(book) {
+  await deleteOfflineBook(getTranslation(), bookAbbreviations[book], chapterCounts[book]);
+  await refreshOfflineBooks();
+}
+
+/**
+ * Load offline books and any download left unfinished by the last visit (paused, so it doesn't use data unasked)
+ */
+export function initDownloadManager() {
+  const saved = downloadStore.load();
+  if (saved) {
+    download = { ...saved, total: 0, done: 0, status: "paused", error: null };
+  }
+
+  refreshOfflineBooks();
+  eventBus.on(Events.SETTINGS_CHANGED, ({ key }) => {
+    if (key === "translation") {
+      refreshOfflineBooks();
+    }
+  });
+}
@@ -0,0 +1,169 @@
+/**
+ * Offline downloads panel - download books of the chosen translation, follow progress and manage storage
+ */
+
+import { chapterCounts } from "/data.js";
+import { eventBus, Events } from "./eventBus.js";
+import {
+  getDownload,
+  getOfflineBooks,
+  startDownload,
+  pauseDownload,
+  resumeDownload,
+  cancelDownload,
+  removeOfflineBook,
+} from "./downloadManager.js";
+import { getStorageUsage } from "./offlineStore.js";
+import { getCurrentBookIndex } from "./navigationState.js";
+import { getTestamentBooks } from "./readingProgress.js";
+import { getTranslation } from "./settings.js";
+import { escapeHTML } from "./htmlUtils.js";
+import { openPanel } from "./panel.js";
+
+const TESTAMENTS = ["Old Testament", "New Testament"];
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size such as "12.3 MB"
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+}
+
+/**
+ * Build the progress section for the current download
+ * @returns {string} HTML string (empty when there is no download)
+ */
+function renderDownload() {
+  const download = getDownload();
+  if (!download) return "";
+
+  const { translation, books, total, done, status, error } = download;
+  const scope = books.length === 1 ? books[0] : `${books.length} books`;
+  const progress = total > 0 ? `${done} of ${total} chapters` : "";
+  const labels = { running: "Downloading", paused: "Paused", done: "Downloaded" };
+
+  return `
+    <div class="panel-group">
+      <div class="panel-group-title">${labels[status]} · ${escapeHTML(translation)} · ${escapeHTML(scope)}</div>
+      ${total > 0 ? `<progress class="download-progress" max="${total}" value="${done}"></progress>` : ""}
+      <div class="panel-item-detail">${progress}</div>
+      ${error ? `<div class="panel-error">${escapeHTML(error)}</div>` : ""}
+      <div class="panel-actions">
+        ${status === "running" ? `<button class="panel-button" data-download-action="pause">Pause</button>` : ""}
+        ${status === "paused" ? `<button class="panel-button" data-download-action="resume">Resume</button>` : ""}
+        <button class="panel-button" data-download-action="cancel">${status === "done" ? "Dismiss" : "Cancel"}</button>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Build the list of books stored offline
+ * @returns {string} HTML string
+ */
+function renderOfflineBooks() {
+  const rows = getOfflineBooks()
+    .map(
+      (book) => `
+        <div class="progress-row">
+          <span>${book} <span class="read-count">${chapterCounts[book]} ${chapterCounts[book] === 1 ? "chapter" : "chapters"}</span></span>
+          <button class="panel-button" data-remove-book="${book}">Remove</button>
+        </div>`
+    )
+    .join("");
+
+  return `
+    <div class="panel-group">
+      <div class="panel-group-title">Available offline · ${escapeHTML(getTranslation())}</div>
+      ${rows || `<div class="panel-empty">No books downloaded yet</div>`}
+      <div class="panel-item-detail download-usage"></div>
+    </div>
+  `;
+}
+
+/**
+ * Fill in storage usage once the browser reports it
+ * @param {HTMLElement} content - Panel content
+ */
+async function renderStorageUsage(content) {
+  const { chapters, usage, quota } = await getStorageUsage();
+  const element = content.querySelector(".download-usage");
+  if (!element) return;
+
+  const sizes = usage !== null && quota !== null ? ` · ${formatBytes(usage)} used of ${formatBytes(quota)}` : "";
+  element.textContent = `${chapters} chapters stored${sizes}`;
+}
+
+/**
+ * Show the offline downloads panel
+ * @param {Array} allBooks - Array of all book data
+ */
+export function showDownloadsPanel(allBooks) {
+  const content = document.createElement("div");
+  content.className = "downloads-panel";
+  const currentBook = allBooks[getCurrentBookIndex()].book;
+
+  const render = () => {
+    const running = getDownload()?.status === "running";
+    content.innerHTML = `
+      <div class="panel-intro">
+        Save ${escapeHTML(getTranslation())} on this device to read without a connection.
+      </div>
+      <div class="panel-actions">
+        <button class="panel-button" data-download-books="book" ${running ? "disabled" : ""}>${currentBook}</button>
+        ${TESTAMENTS.map(
+          (testament) =>
+            `<button class="panel-button" data-download-books="${testament}" ${running ? "disabled" : ""}>${testament}</button>`
+        ).join("")}
+        <button class="panel-button" data-download-books="all" ${running ? "disabled" : ""}>Whole Bible</button>
+      </div>
+      ${renderDownload()}
+      ${renderOfflineBooks()}
+    `;
+    renderStorageUsage(content);
+  };
+
+  content.addEventListener("click", (e) => {
+    const downloadButton = e.target.closest("[data-download-books]");
+    const actionButton = e.target.closest("[data-download-action]");
+    const removeButton = e.target.closest("[data-remove-book]");
+
+    if (downloadButton) {
+      const scope = downloadButton.dataset.downloadBooks;
+      if (scope === "book") {
+        startDownload([currentBook]);
+      } else if (scope === "all") {
+        startDownload(TESTAMENTS.flatMap(getTestamentBooks));
+      } else {
+        startDownload(getTestamentBooks(scope));
+      }
+    } else if (actionButton) {
+      const action = actionButton.dataset.downloadAction;
+      if (action === "pause") pauseDownload();
+      if (action === "resume") resumeDownload();
+      if (action === "cancel") cancelDownload();
+    } else if (removeButton) {
+      const book = removeButton.dataset.removeBook;
+      if (window.confirm(`Remove ${book} from this device?`)) {
+        removeOfflineBook(book);
+      }
+    }
+  });
+
+  // Follow the download while the panel is open
+  const unsubscribers = [
+    eventBus.on(Events.DOWNLOAD_PROGRESS, render),
+    eventBus.on(Events.OFFLINE_BOOKS_CHANGED, render),
+  ];
+
+  render();
+  openPanel({
+    title: "Offline reading",
+    content,
+    onClose: () => unsubscribers.forEach((unsubscribe) => unsubscribe()),
+  });
+}
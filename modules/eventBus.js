@@ -55,7 +55,8 @@ class EventBus {
   emit(eventName, data) {
     const callbacks = this.events.get(eventName);
     if (callbacks) {
-      callbacks.forEach((callback) => {
+      // Iterate over a copy - once() listeners unsubscribe while the event is being delivered
+      [...callbacks].forEach((callback) => {
         try {
           callback(data);
         } catch (error) {
@@ -102,6 +103,7 @@ export const Events = {
   // Navigation events
   BOOK_CHANGED: 'book:changed',
   CHAPTER_CHANGED: 'chapter:changed',
+  VERSE_CHANGED: 'verse:changed',
   MODE_CHANGED: 'mode:changed',
 
   // Mode transition events
@@ -121,6 +123,23 @@ export const Events = {
   LETTER_SELECTED: 'letter:selected',
   BOOK_SELECTED: 'book:selected',
 
+  // User data events
+  BOOKMARKS_CHANGED: 'bookmarks:changed',
+  HIGHLIGHTS_CHANGED: 'highlights:changed',
+  NOTES_CHANGED: 'notes:changed',
+  PLAN_CHANGED: 'plan:changed',
+  CHAPTER_READ: 'progress:chapter-read',
+  READ_PROGRESS_CHANGED: 'progress:changed',
+  SETTINGS_CHANGED: 'settings:changed',
+
+  // Chapter data events
+  CHAPTER_LOADED: 'chapter:loaded',
+  SEARCH_INDEX_PROGRESS: 'search:index-progress',
+
+  // Offline events
+  DOWNLOAD_PROGRESS: 'offline:download-progress',
+  OFFLINE_BOOKS_CHANGED: 'offline:books-changed',
+
   // Error events
   ERROR: 'error',
   API_ERROR: 'api:error',
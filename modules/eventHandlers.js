@@ -11,13 +11,24 @@ import {
   setCurrentBookIndex,
   getCurrentChapter,
   setCurrentChapter,
+  getCurrentVerse,
+  setCurrentVerse,
+  getVerseNumbers,
   getLastSelectedLetter,
   setLastSelectedLetter,
   getLetterCycleIndex,
-  setLetterCycleIndex
+  setLetterCycleIndex,
+  getCurrentBookmarkIndex,
+  setCurrentBookmarkIndex
 } from './navigationState.js';
 import { sortBooksByName, getFirstAlphabeticChar } from './bookDataUtils.js';
 import { createGestureHandler } from './gestureHandler.js';
+import { getBookmarks, toggleBookmark, updateBookmarkLabel, removeBookmark } from './bookmarks.js';
+import { toggleChapterRead } from './readingProgress.js';
+import { getVerseSelection, clearVerseSelection } from './verseActions.js';
+
+// Elements that handle their own clicks and must not trigger navigation gestures
+const INTERACTIVE_SELECTOR = 'button, input, textarea, select, a, .verse-number, .footnote-ref';
 
 /**
  * Initialize all event handlers for the application
@@ -26,33 +37,59 @@ import { createGestureHandler } from './gestureHandler.js';
  * @param {HTMLInputElement} params.slider - Range slider element
  * @param {HTMLElement} params.letterDisplay - Display area for book/chapter info
  * @param {HTMLElement} params.alphabetNav - Alphabet navigation element
+ * @param {HTMLElement} params.toolbar - Toolbar element with data-action buttons
  * @param {Array} params.allBooks - Array of all book data
  * @param {Function} params.updateDisplayCallback - Callback to update book display
  * @param {Function} params.updateChapterDisplayCallback - Callback to update chapter display
  * @param {Function} params.updateReadingDisplayCallback - Callback to update reading display
+ * @param {Function} params.updateVerseDisplayCallback - Callback to update verse display
  * @param {Function} params.enterChapterModeCallback - Callback to enter chapter mode
  * @param {Function} params.exitChapterModeCallback - Callback to exit chapter mode
- * @param {Function} params.enterReadingModeCallback - Callback to enter reading mode
+ * @param {Function} params.enterVerseModeCallback - Callback to enter verses mode
+ * @param {Function} params.exitVerseModeCallback - Callback to exit verses mode
  * @param {Function} params.exitReadingModeCallback - Callback to exit reading mode
+ * @param {Function} params.updateBookmarksDisplayCallback - Callback to update bookmarks display
+ * @param {Function} params.enterBookmarksModeCallback - Callback to enter (or refresh) bookmarks mode
+ * @param {Function} params.exitBookmarksModeCallback - Callback to exit bookmarks mode
+ * @param {Function} params.exitSearchModeCallback - Callback to exit search mode
+ * @param {Function} params.navigateCallback - Callback to jump to a route ({ mode, bookIndex, chapter, verse })
+ * @param {Object<string, Function>} params.toolbarActions - Handlers keyed by toolbar button data-action
  */
 export function initEventHandlers({
   container,
   slider,
   letterDisplay,
   alphabetNav,
+  toolbar,
   allBooks,
   updateDisplayCallback,
   updateChapterDisplayCallback,
   updateReadingDisplayCallback,
+  updateVerseDisplayCallback,
   enterChapterModeCallback,
   exitChapterModeCallback,
-  enterReadingModeCallback,
-  exitReadingModeCallback
+  enterVerseModeCallback,
+  exitVerseModeCallback,
+  exitReadingModeCallback,
+  updateBookmarksDisplayCallback,
+  enterBookmarksModeCallback,
+  exitBookmarksModeCallback,
+  exitSearchModeCallback,
+  navigateCallback,
+  toolbarActions
 }) {
   // Slider event listener
   slider.addEventListener("input", function () {
     if (getCurrentMode() === MODES.BOOKS) {
       updateDisplayCallback(parseInt(this.value));
+    } else if (getCurrentMode() === MODES.BOOKMARKS) {
+      setCurrentBookmarkIndex(parseInt(this.value));
+      updateBookmarksDisplayCallback();
+    } else if (getCurrentMode() === MODES.VERSES) {
+      // The slider holds a position in the chapter, not a verse number
+      const position = parseInt(this.value);
+      setCurrentVerse(getVerseNumbers()[position - 1] ?? position);
+      updateVerseDisplayCallback();
     } else {
       setCurrentChapter(parseInt(this.value));
       updateChapterDisplayCallback();
@@ -64,23 +101,37 @@ export function initEventHandlers({
     container,
     {
       onSwipe: (direction) => {
-        handleSwipe(direction, allBooks, slider, updateDisplayCallback, updateChapterDisplayCallback);
+        handleSwipe(direction, allBooks, slider, {
+          updateDisplayCallback,
+          updateChapterDisplayCallback,
+          updateVerseDisplayCallback,
+          updateBookmarksDisplayCallback,
+        });
       },
       onDrag: (direction) => {
         handleDrag(direction, allBooks, updateReadingDisplayCallback);
       },
       onTap: (clientX) => {
-        handleTap(clientX, allBooks, enterChapterModeCallback, enterReadingModeCallback, updateReadingDisplayCallback);
+        handleTap(clientX, allBooks, {
+          enterChapterModeCallback,
+          enterVerseModeCallback,
+          updateReadingDisplayCallback,
+          navigateCallback,
+        });
       },
       onDoubleTap: () => {
-        handleDoubleTap(exitChapterModeCallback, exitReadingModeCallback);
+        handleDoubleTap({
+          exitChapterModeCallback,
+          exitVerseModeCallback,
+          exitReadingModeCallback,
+          exitBookmarksModeCallback,
+          exitSearchModeCallback,
+        });
       }
     },
     (event) => {
-      // Should ignore event if it's on the slider or certain UI elements
-      return event.target === slider ||
-             event.target.classList.contains("book-item") ||
-             event.target.classList.contains("alphabet-letter");
+      // Should ignore event if it's on the slider or other interactive UI elements
+      return event.target.closest(INTERACTIVE_SELECTOR) !== null;
     }
   );
 
@@ -96,6 +147,40 @@ export function initEventHandlers({
         enterChapterModeCallback();
       }
     }
+
+    // Star next to the chapter title toggles a chapter bookmark
+    if (e.target.closest(".bookmark-toggle")) {
+      const mode = getCurrentMode();
+      if (mode === MODES.CHAPTERS || mode === MODES.READING) {
+        toggleBookmark(allBooks[getCurrentBookIndex()].book, getCurrentChapter());
+      }
+    }
+
+    if (e.target.closest(".read-badge")) {
+      const mode = getCurrentMode();
+      if (mode === MODES.CHAPTERS || mode === MODES.READING) {
+        toggleChapterRead(allBooks[getCurrentBookIndex()].book, getCurrentChapter());
+      }
+    }
+
+    // Skips stepping through verses for readers who want the whole chapter straight away
+    if (e.target.closest(".read-chapter") && getCurrentMode() === MODES.CHAPTERS) {
+      navigateCallback({ mode: MODES.READING, bookIndex: getCurrentBookIndex(), chapter: getCurrentChapter() });
+    }
+
+    const bookmarkAction = e.target.closest("[data-bookmark-action]");
+    if (getCurrentMode() === MODES.BOOKMARKS && bookmarkAction) {
+      handleBookmarkAction(bookmarkAction.dataset.bookmarkAction, enterBookmarksModeCallback);
+    }
+  });
+
+  // Toolbar buttons (delegated)
+  toolbar.addEventListener("click", function (e) {
+    const button = e.target.closest("[data-action]");
+    const action = button && toolbarActions[button.dataset.action];
+    if (action) {
+      action();
+    }
   });
 
   // Alphabet navigation click handler (delegated)
@@ -109,7 +194,12 @@ export function initEventHandlers({
 /**
  * Handle swipe gesture
  */
-function handleSwipe(direction, allBooks, slider, updateDisplayCallback, updateChapterDisplayCallback) {
+function handleSwipe(
+  direction,
+  allBooks,
+  slider,
+  { updateDisplayCallback, updateChapterDisplayCallback, updateVerseDisplayCallback, updateBookmarksDisplayCallback }
+) {
   if (getCurrentMode() === MODES.BOOKS) {
     const newIndex = getCurrentBookIndex() + direction;
     if (newIndex >= 0 && newIndex < allBooks.length) {
@@ -129,6 +219,25 @@ function handleSwipe(direction, allBooks, slider, updateDisplayCallback, updateC
       updateChapterDisplayCallback();
       return true;
     }
+  } else if (getCurrentMode() === MODES.VERSES) {
+    const verseNumbers = getVerseNumbers();
+    const newPosition = verseNumbers.indexOf(getCurrentVerse()) + direction;
+
+    if (newPosition >= 0 && newPosition < verseNumbers.length) {
+      setCurrentVerse(verseNumbers[newPosition]);
+      slider.value = newPosition + 1;
+      updateVerseDisplayCallback();
+      return true;
+    }
+  } else if (getCurrentMode() === MODES.BOOKMARKS) {
+    const newIndex = getCurrentBookmarkIndex() + direction;
+
+    if (newIndex >= 0 && newIndex < getBookmarks().length) {
+      setCurrentBookmarkIndex(newIndex);
+      slider.value = newIndex;
+      updateBookmarksDisplayCallback();
+      return true;
+    }
   }
   return false;
 }
@@ -157,12 +266,41 @@ function handleDrag(direction, allBooks, updateReadingDisplayCallback) {
 /**
  * Handle single tap
  */
-function handleTap(clientX, allBooks, enterChapterModeCallback, enterReadingModeCallback, updateReadingDisplayCallback) {
-  if (getCurrentMode() === MODES.BOOKS) {
+function handleTap(
+  clientX,
+  allBooks,
+  { enterChapterModeCallback, enterVerseModeCallback, updateReadingDisplayCallback, navigateCallback }
+) {
+  if (getCurrentMode() === MODES.BOOKMARKS) {
+    // Open the bookmark at its saved spot
+    const bookmark = getBookmarks()[getCurrentBookmarkIndex()];
+    if (bookmark) {
+      navigateCallback({
+        mode: MODES.READING,
+        bookIndex: allBooks.findIndex((item) => item.book === bookmark.book),
+        chapter: bookmark.chapter,
+        verse: bookmark.verse,
+      });
+    }
+  } else if (getCurrentMode() === MODES.BOOKS) {
     enterChapterModeCallback();
   } else if (getCurrentMode() === MODES.CHAPTERS) {
-    enterReadingModeCallback();
+    enterVerseModeCallback();
+  } else if (getCurrentMode() === MODES.VERSES) {
+    // Open the whole chapter at this verse
+    navigateCallback({
+      mode: MODES.READING,
+      bookIndex: getCurrentBookIndex(),
+      chapter: getCurrentChapter(),
+      verse: getCurrentVerse(),
+    });
   } else if (getCurrentMode() === MODES.READING) {
+    // A tap while verses are selected ends the selection rather than turning the page underneath it
+    if (getVerseSelection()) {
+      clearVerseSelection();
+      return;
+    }
+
     // Tap left/right to navigate chapters
     const currentItem = allBooks[getCurrentBookIndex()];
     const chapters = chapterCounts[currentItem.book];
@@ -184,14 +322,46 @@ function handleTap(clientX, allBooks, enterChapterModeCallback, enterReadingMode
 /**
  * Handle double tap
  */
-function handleDoubleTap(exitChapterModeCallback, exitReadingModeCallback) {
+function handleDoubleTap({
+  exitChapterModeCallback,
+  exitVerseModeCallback,
+  exitReadingModeCallback,
+  exitBookmarksModeCallback,
+  exitSearchModeCallback,
+}) {
   if (getCurrentMode() === MODES.CHAPTERS) {
     exitChapterModeCallback();
+  } else if (getCurrentMode() === MODES.VERSES) {
+    exitVerseModeCallback();
   } else if (getCurrentMode() === MODES.READING) {
     exitReadingModeCallback();
+  } else if (getCurrentMode() === MODES.BOOKMARKS) {
+    exitBookmarksModeCallback();
+  } else if (getCurrentMode() === MODES.SEARCH) {
+    exitSearchModeCallback();
   }
 }
 
+/**
+ * Handle the edit/delete buttons on the current bookmark
+ */
+function handleBookmarkAction(action, enterBookmarksModeCallback) {
+  const bookmark = getBookmarks()[getCurrentBookmarkIndex()];
+  if (!bookmark) return;
+
+  if (action === "rename") {
+    const label = window.prompt("Bookmark label", bookmark.label);
+    if (label !== null) {
+      updateBookmarkLabel(bookmark.id, label);
+    }
+  } else if (action === "delete") {
+    removeBookmark(bookmark.id);
+  }
+
+  // Re-enter to clamp the index and slider range to the updated list
+  enterBookmarksModeCallback();
+}
+
 /**
  * Handle alphabet letter click with cycling
  */
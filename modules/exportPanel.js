@@ -0,0 +1,101 @@
+/**
+ * Export panel - choose a verse range, a format and what to include, then download the passage
+ */
+
+import { formatReference } from "./bookDataUtils.js";
+import { downloadFile } from "./fileUtils.js";
+import { escapeHTML } from "./htmlUtils.js";
+import { openPanel } from "./panel.js";
+import { EXPORT_FORMATS, exportPassage } from "./passageExport.js";
+import { getTranslation } from "./settings.js";
+
+// Kept across exports, so preparing several handouts doesn't mean setting the options each time
+let format = "markdown";
+let include = { footnotes: false, highlights: true, notes: false };
+
+const INCLUDE_OPTIONS = [
+  { key: "footnotes", label: "Footnotes" },
+  { key: "highlights", label: "My highlights" },
+  { key: "notes", label: "My notes" },
+];
+
+/**
+ * Show the export panel for a chapter or verse range
+ * @param {Object} passage - Passage to export
+ * @param {string} passage.book - Book name
+ * @param {number} passage.chapter - Chapter number
+ * @param {number|null} [passage.verseStart] - First verse (null for the whole chapter)
+ * @param {number|null} [passage.verseEnd] - Last verse (default: verseStart)
+ */
+export function showExportPanel({ book, chapter, verseStart = null, verseEnd = verseStart }) {
+  const content = document.createElement("div");
+  content.className = "export-view";
+  content.innerHTML = `
+    <div class="panel-intro">
+      ${escapeHTML(formatReference(book, chapter))} in ${escapeHTML(getTranslation())}. Leave the verses empty to export the whole chapter.
+    </div>
+    <div class="export-range">
+      <input class="panel-search export-verse-start" type="number" min="1" placeholder="First verse" aria-label="First verse" value="${verseStart ?? ""}">
+      <span>to</span>
+      <input class="panel-search export-verse-end" type="number" min="1" placeholder="Last verse" aria-label="Last verse" value="${verseEnd ?? ""}">
+    </div>
+    <div class="panel-group">
+      <div class="panel-group-title">Format</div>
+      ${Object.entries(EXPORT_FORMATS)
+        .map(
+          ([key, { label }]) => `
+            <label class="export-option">
+              <input type="radio" name="export-format" value="${key}" ${key === format ? "checked" : ""}> ${label}
+            </label>`
+        )
+        .join("")}
+    </div>
+    <div class="panel-group">
+      <div class="panel-group-title">Include</div>
+      ${INCLUDE_OPTIONS.map(
+        ({ key, label }) => `
+          <label class="export-option">
+            <input type="checkbox" data-include="${key}" ${include[key] ? "checked" : ""}> ${label}
+          </label>`
+      ).join("")}
+    </div>
+    <div class="panel-actions">
+      <button class="panel-button" data-export-action="download">Download</button>
+    </div>
+  `;
+
+  const showError = (message) => {
+    content.querySelector(".panel-error")?.remove();
+    content.insertAdjacentHTML("afterbegin", `<div class="panel-error">${escapeHTML(message)}</div>`);
+  };
+
+  content.addEventListener("change", (e) => {
+    if (e.target.name === "export-format") {
+      format = e.target.value;
+    } else if (e.target.dataset.include) {
+      include = { ...include, [e.target.dataset.include]: e.target.checked };
+    }
+  });
+
+  content.querySelector('[data-export-action="download"]').addEventListener("click", async (e) => {
+    const button = e.currentTarget;
+    const start = Number(content.querySelector(".export-verse-start").value) || null;
+    const end = Number(content.querySelector(".export-verse-end").value) || start;
+
+    button.disabled = true;
+    try {
+      const file = await exportPassage(
+        { book, chapter, verseStart: start, verseEnd: start && end },
+        { format, ...include }
+      );
+      downloadFile(file.filename, file.content, file.type);
+      content.querySelector(".panel-error")?.remove();
+    } catch (exportError) {
+      showError(exportError.message);
+    } finally {
+      button.disabled = false;
+    }
+  });
+
+  openPanel({ title: `Export ${formatReference(book, chapter, verseStart, verseEnd)}`, content });
+}
@@ -0,0 +1,20 @@
+/**
+ * File helpers for saving generated content from the browser
+ */
+
+/**
+ * Offer text content as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File content
+ * @param {string} [type] - MIME type
+ */
+export function downloadFile(filename, content, type = "text/plain") {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,80 @@
+/**
+ * Go-to input - type a reference ("Jn 3:16", "1 Cor 13:4-7", "Ps 23") to open it in reading mode
+ * A list of references ("Rom 8:28, 38-39") opens the first and lists the rest in the panel
+ */
+
+import { MODES } from "./constants.js";
+import { parseReferences, describeReference } from "./referenceParser.js";
+import { openPanel, closePanel } from "./panel.js";
+
+/**
+ * Initialize the go-to reference form
+ * @param {Object} params - Configuration object
+ * @param {HTMLFormElement} params.form - Form containing the reference input and error element
+ * @param {Array} params.allBooks - Array of all book data
+ * @param {Function} params.navigateCallback - Callback to jump to a route ({ mode, bookIndex, chapter, verse })
+ */
+export function initGoToReference({ form, allBooks, navigateCallback }) {
+  const input = form.querySelector(".goto-input");
+  const errorElement = form.querySelector(".goto-error");
+
+  const showError = (message) => {
+    errorElement.textContent = message;
+    errorElement.hidden = !message;
+    input.setAttribute("aria-invalid", String(Boolean(message)));
+  };
+
+  const openReference = ({ book, chapter, verseStart }) => {
+    navigateCallback({
+      mode: MODES.READING,
+      bookIndex: allBooks.findIndex((item) => item.book === book),
+      chapter,
+      verse: verseStart,
+    });
+  };
+
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+
+    let references;
+    try {
+      references = parseReferences(input.value);
+    } catch (error) {
+      showError(error.message);
+      return;
+    }
+
+    showError("");
+    input.value = "";
+    input.blur();
+    openReference(references[0]);
+
+    if (references.length > 1) {
+      showReferenceList(references, openReference);
+    }
+  });
+
+  input.addEventListener("input", () => showError(""));
+}
+
+/**
+ * List several references in the panel so each can be opened in turn
+ * @param {Array<Object>} references - Parsed references
+ * @param {Function} openReference - Opens one reference
+ */
+function showReferenceList(references, openReference) {
+  const content = document.createElement("div");
+  content.innerHTML = references
+    .map((reference, index) => `<button class="panel-item" data-index="${index}">${describeReference(reference)}</button>`)
+    .join("");
+
+  content.addEventListener("click", (e) => {
+    const item = e.target.closest(".panel-item");
+    if (!item) return;
+
+    closePanel();
+    openReference(references[Number(item.dataset.index)]);
+  });
+
+  openPanel({ title: "References", content });
+}
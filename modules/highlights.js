@@ -0,0 +1,97 @@
+/**
+ * Verse highlights - color categories applied to verses, stored locally
+ * Keyed by book/chapter/verse only, so highlights carry over between translations
+ */
+
+import { createStore } from "./storage.js";
+import { eventBus, Events } from "./eventBus.js";
+
+/**
+ * Schema history:
+ *   v1 - { ["Book|chapter"]: { [verse]: colorId } }
+ */
+const highlightStore = createStore("highlights", {
+  version: 1,
+  defaults: () => ({}),
+});
+
+let highlights = highlightStore.load();
+
+/**
+ * Build the storage key for a chapter
+ * @param {string} book - Book name
+ * @param {number} chapter - Chapter number
+ * @returns {string} Chapter key
+ */
+function getChapterKey(book, chapter) {
+  return `${book}|${chapter}`;
+}
+
+/**
+ * Get the highlight colors for every highlighted verse in a chapter
+ * @param {string} book - Book name
+ * @param {number} chapter - Chapter number
+ * @returns {Object<number, string>} Map of verse number to color id
+ */
+export function getChapterHighlights(book, chapter) {
+  return { ...highlights[getChapterKey(book, chapter)] };
+}
+
+/**
+ * Highlight a verse or range of verses, replacing any existing color
+ * @param {string} book - Book name
+ * @param {number} chapter - Chapter number
+ * @param {number} verseStart - First verse
+ * @param {number} verseEnd - Last verse (inclusive)
+ * @param {string|null} color - Color id from HIGHLIGHT_COLORS, or null to remove
+ */
+export function setHighlight(book, chapter, verseStart, verseEnd, color) {
+  const key = getChapterKey(book, chapter);
+  const chapterHighlights = { ...highlights[key] };
+
+  for (let verse = verseStart; verse <= verseEnd; verse++) {
+    if (color) {
+      chapterHighlights[verse] = color;
+    } else {
+      delete chapterHighlights[verse];
+    }
+  }
+
+  highlights = { ...highlights, [key]: chapterHighlights };
+  if (Object.keys(chapterHighlights).length === 0) {
+    delete highlights[key];
+  }
+
+  highlightStore.save(highlights);
+  eventBus.emit(Events.HIGHLIGHTS_CHANGED, { book, chapter });
+}
+
+/**
+ * List every highlighted passage, merging consecutive verses of the same color
+ * @returns {Array<{book: string, chapter: number, verseStart: number, verseEnd: number, color: string}>} Passages
+ */
+export function getHighlightedPassages() {
+  const passages = [];
+
+  Object.entries(highlights).forEach(([key, chapterHighlights]) => {
+    const separator = key.lastIndexOf("|");
+    const book = key.slice(0, separator);
+    const chapter = Number(key.slice(separator + 1));
+    const verses = Object.keys(chapterHighlights)
+      .map(Number)
+      .sort((a, b) => a - b);
+
+    let current = null;
+    verses.forEach((verse) => {
+      const color = chapterHighlights[verse];
+      if (current && current.color === color && current.verseEnd === verse - 1) {
+        current.verseEnd = verse;
+      } else {
+        current = { book, chapter, verseStart: verse, verseEnd: verse, color };
+        passages.push(current);
+      }
+    });
+  });
+
+  return passages;
+}
@@ -0,0 +1,62 @@
+/**
+ * Highlights list - every highlighted passage, grouped by color
+ */
+
+import { HIGHLIGHT_COLORS, MODES } from "./constants.js";
+import { formatReference } from "./bookDataUtils.js";
+import { getHighlightedPassages } from "./highlights.js";
+import { openPanel, closePanel } from "./panel.js";
+
+/**
+ * Show the highlights list
+ * @param {Array} allBooks - Array of all book data (used for canonical ordering)
+ * @param {Function} navigateCallback - Callback to jump to a route ({ mode, bookIndex, chapter, verse })
+ */
+export function showHighlightsPanel(allBooks, navigateCallback) {
+  const bookOrder = new Map(allBooks.map((item, index) => [item.book, index]));
+  const passages = getHighlightedPassages().sort(
+    (a, b) =>
+      bookOrder.get(a.book) - bookOrder.get(b.book) || a.chapter - b.chapter || a.verseStart - b.verseStart
+  );
+
+  const content = document.createElement("div");
+  content.className = "highlights-list";
+
+  if (passages.length === 0) {
+    content.innerHTML = `<div class="panel-empty">No highlights yet. Tap a verse number while reading to highlight it.</div>`;
+  } else {
+    content.innerHTML = HIGHLIGHT_COLORS.map((color) => {
+      const colorPassages = passages.filter((passage) => passage.color === color.id);
+      if (colorPassages.length === 0) return "";
+
+      const items = colorPassages
+        .map(
+          (passage) =>
+            `<button class="panel-item" data-book="${passage.book}" data-chapter="${passage.chapter}" data-verse="${passage.verseStart}">
+              ${formatReference(passage.book, passage.chapter, passage.verseStart, passage.verseEnd)}
+            </button>`
+        )
+        .join("");
+
+      return `<div class="panel-group">
+        <div class="panel-group-title"><span class="highlight-swatch" data-color="${color.id}"></span>${color.label}</div>
+        ${items}
+      </div>`;
+    }).join("");
+  }
+
+  content.addEventListener("click", (e) => {
+    const item = e.target.closest(".panel-item");
+    if (!item) return;
+
+    closePanel();
+    navigateCallback({
+      mode: MODES.READING,
+      bookIndex: bookOrder.get(item.dataset.book),
+      chapter: Number(item.dataset.chapter),
+      verse: Number(item.dataset.verse),
+    });
+  });
+
+  openPanel({ title: "Highlights", content });
+}
@@ -0,0 +1,23 @@
+/**
+ * HTML helpers for building markup from user-provided text
+ */
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+/**
+ * Escape text for safe insertion into HTML content or attribute values
+ * @param {*} value - Value to escape (converted to string)
+ * @returns {string} Escaped string
+ *
+ * @example
+ * escapeHTML('<b>"Hi"</b>') // Returns "&lt;b&gt;&quot;Hi&quot;&lt;/b&gt;"
+ */
+export function escapeHTML(value) {
+  return String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
@@ -0,0 +1,156 @@
+/**
+ * Bounded in-memory cache - least recently used entries are evicted once it is full,
+ * and entries expire after a time-to-live. Pinned keys are never evicted or expired.
+ * Expired entries stay (counting towards the size) until evicted or replaced, so peek() can still
+ * offer them as a stale fallback.
+ */
+
+/**
+ * Create a cache
+ * @param {Object} [options] - Cache options
+ * @param {number} [options.maxSize=100] - Most entries kept (pinned entries may take it over the limit)
+ * @param {number} [options.ttl=Infinity] - Milliseconds an entry stays valid after it is stored
+ * @param {Function} [options.now=Date.now] - Clock, in milliseconds
+ * @returns {Object} Cache API
+ *
+ * @example
+ * const cache = createLRUCache({ maxSize: 2, ttl: 60 * 1000 });
+ * cache.set("a", 1);
+ * cache.set("b", 2);
+ * cache.get("a"); // 1 - "a" is now the most recently used
+ * cache.set("c", 3); // evicts "b"
+ */
+export function createLRUCache({ maxSize = 100, ttl = Infinity, now = Date.now } = {}) {
+  // Map iteration order doubles as recency order: oldest first
+  const entries = new Map();
+  const pinned = new Set();
+  const stats = { hits: 0, misses: 0, evictions: 0, expirations: 0 };
+
+  const isExpired = (key, entry) => !pinned.has(key) && now() - entry.storedAt > ttl;
+
+  // Drop least recently used unpinned entries until the cache fits
+  const evict = () => {
+    for (const key of entries.keys()) {
+      if (entries.size <= maxSize) return;
+      if (pinned.has(key)) continue;
+      entries.delete(key);
+      stats.evictions++;
+    }
+  };
+
+  return {
+    /**
+     * Read an entry, marking it most recently used
+     * @param {string} key - Entry key
+     * @returns {*} Stored value, or undefined if missing or expired
+     */
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        stats.misses++;
+        return undefined;
+      }
+      if (isExpired(key, entry)) {
+        stats.expirations++;
+        stats.misses++;
+        return undefined;
+      }
+
+      entries.delete(key);
+      entries.set(key, entry);
+      stats.hits++;
+      return entry.value;
+    },
+
+    /**
+     * Read an entry even if it has expired, without affecting recency or stats
+     * @param {string} key - Entry key
+     * @returns {*} Stored value, or undefined if missing
+     */
+    peek(key) {
+      return entries.get(key)?.value;
+    },
+
+    /**
+     * List stored keys, including expired ones
+     * @returns {Array<string>} Keys, least recently used first
+     */
+    keys() {
+      return [...entries.keys()];
+    },
+
+    /**
+     * Check for a live entry without affecting recency or stats
+     * @param {string} key - Entry key
+     * @returns {boolean} True if stored and not expired
+     */
+    has(key) {
+      const entry = entries.get(key);
+      return Boolean(entry) && !isExpired(key, entry);
+    },
+
+    /**
+     * Store an entry as the most recently used, evicting old entries if the cache is full
+     * @param {string} key - Entry key
+     * @param {*} value - Value to store
+     */
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, { value, storedAt: now() });
+      evict();
+    },
+
+    /**
+     * Remove an entry
+     * @param {string} key - Entry key
+     */
+    delete(key) {
+      entries.delete(key);
+    },
+
+    /**
+     * Remove every entry (pins and stats are kept)
+     */
+    clear() {
+      entries.clear();
+    },
+
+    /**
+     * Keep a key from being evicted or expiring (it may be pinned before it is stored)
+     * @param {string} key - Entry key
+     */
+    pin(key) {
+      pinned.add(key);
+    },
+
+    /**
+     * Let a pinned key be evicted again
+     * @param {string} key - Entry key
+     */
+    unpin(key) {
+      pinned.delete(key);
+      evict();
+    },
+
+    /**
+     * Change the size limit or TTL
+     * @param {Object} options - New limits
+     * @param {number} [options.maxSize] - Most entries kept
+     * @param {number} [options.ttl] - Milliseconds an entry stays valid
+     */
+    configure({ maxSize: newMaxSize = maxSize, ttl: newTtl = ttl }) {
+      maxSize = newMaxSize;
+      ttl = newTtl;
+      evict();
+    },
+
+    /**
+     * Get cache statistics
+     * @returns {{size: number, maxSize: number, ttl: number, pinned: number, hits: number, misses: number,
+     *   evictions: number, expirations: number, keys: Array<string>}} Stats, keys oldest first
+     */
+    getStats() {
+      return { size: entries.size, maxSize, ttl, pinned: pinned.size, ...stats, keys: [...entries.keys()] };
+    },
+  };
+}
@@ -0,0 +1,162 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import { createLRUCache } from "./lruCache.js";
+
+// Injected clock, moved by hand
+let time;
+const now = () => time;
+
+beforeEach(() => {
+  time = 0;
+});
+
+describe("eviction", () => {
+  it("evicts the least recently stored entry once full", () => {
+    const cache = createLRUCache({ maxSize: 2, now });
+    cache.set("a", 1);
+    cache.set("b", 2);
+    cache.set("c", 3);
+
+    expect(cache.keys()).toEqual(["b", "c"]);
+    expect(cache.get("a")).toBeUndefined();
+  });
+
+  it("counts reading an entry as using it", () => {
+    const cache = createLRUCache({ maxSize: 2, now });
+    cache.set("a", 1);
+    cache.set("b", 2);
+    cache.get("a");
+    cache.set("c", 3);
+
+    expect(cache.keys()).toEqual(["a", "c"]);
+  });
+
+  it("doesn't count peek or has as using an entry", () => {
+    const cache = createLRUCache({ maxSize: 2, now });
+    cache.set("a", 1);
+    cache.set("b", 2);
+    cache.peek("a");
+    cache.has("a");
+    cache.set("c", 3);
+
+    expect(cache.keys()).toEqual(["b", "c"]);
+  });
+
+  it("evicts down to a smaller limit", () => {
+    const cache = createLRUCache({ maxSize: 3, now });
+    ["a", "b", "c"].forEach((key, index) => cache.set(key, index));
+    cache.configure({ maxSize: 1 });
+
+    expect(cache.keys()).toEqual(["c"]);
+  });
+});
+
+describe("expiry", () => {
+  it("expires entries after the TTL", () => {
+    const cache = createLRUCache({ ttl: 1000, now });
+    cache.set("a", 1);
+
+    time = 1000;
+    expect(cache.get("a")).toBe(1);
+    time = 1001;
+    expect(cache.get("a")).toBeUndefined();
+    expect(cache.has("a")).toBe(false);
+  });
+
+  it("keeps expired entries for peek until they are replaced", () => {
+    const cache = createLRUCache({ ttl: 1000, now });
+    cache.set("a", 1);
+    time = 5000;
+
+    expect(cache.peek("a")).toBe(1);
+    cache.set("a", 2);
+    expect(cache.get("a")).toBe(2);
+  });
+
+  it("restarts the TTL when an entry is stored again", () => {
+    const cache = createLRUCache({ ttl: 1000, now });
+    cache.set("a", 1);
+    time = 900;
+    cache.set("a", 1);
+    time = 1500;
+
+    expect(cache.get("a")).toBe(1);
+  });
+});
+
+describe("pinning", () => {
+  it("never evicts pinned entries", () => {
+    const cache = createLRUCache({ maxSize: 2, now });
+    cache.pin("a");
+    cache.set("a", 1);
+    cache.set("b", 2);
+    cache.set("c", 3);
+
+    expect(cache.keys()).toEqual(["a", "c"]);
+  });
+
+  it("lets pinned entries take the cache over its limit", () => {
+    const cache = createLRUCache({ maxSize: 1, now });
+    cache.pin("a");
+    cache.pin("b");
+    cache.set("a", 1);
+    cache.set("b", 2);
+
+    expect(cache.keys()).toEqual(["a", "b"]);
+  });
+
+  it("never expires pinned entries", () => {
+    const cache = createLRUCache({ ttl: 1000, now });
+    cache.pin("a");
+    cache.set("a", 1);
+    time = 5000;
+
+    expect(cache.get("a")).toBe(1);
+  });
+
+  it("evicts an entry again once unpinned", () => {
+    const cache = createLRUCache({ maxSize: 1, now });
+    cache.pin("a");
+    cache.pin("b");
+    cache.set("a", 1);
+    cache.set("b", 2);
+    cache.unpin("a");
+
+    expect(cache.keys()).toEqual(["b"]);
+  });
+});
+
+describe("stats", () => {
+  it("counts hits, misses, evictions and expirations", () => {
+    const cache = createLRUCache({ maxSize: 2, ttl: 1000, now });
+    cache.pin("c");
+    cache.set("a", 1);
+    cache.set("b", 2);
+    cache.get("a"); // hit
+    cache.get("x"); // miss
+    cache.set("c", 3); // evicts "b"
+    time = 2000;
+    cache.get("a"); // expired
+
+    expect(cache.getStats()).toEqual({
+      size: 2,
+      maxSize: 2,
+      ttl: 1000,
+      pinned: 1,
+      hits: 1,
+      misses: 2,
+      evictions: 1,
+      expirations: 1,
+      keys: ["a", "c"],
+    });
+  });
+
+  it("keeps stats and pins when cleared", () => {
+    const cache = createLRUCache({ now });
+    cache.pin("a");
+    cache.set("a", 1);
+    cache.get("a");
+    cache.clear();
+
+    expect(cache.getStats()).toMatchObject({ size: 0, pinned: 1, hits: 1 });
+  });
+});
@@ -13,11 +13,19 @@ const state = {
   currentMode: MODES.BOOKS,
   currentBookIndex: 0,
   currentChapter: 1,
+  currentVerse: null,
   previousTestament: null,
 
+  // Verse numbers of the current chapter in order (known once the chapter has been fetched)
+  // The verse slider moves by position through these, since numbering can skip verses
+  verseNumbers: [],
+
   // Letter cycling state
   lastSelectedLetter: null,
   letterCycleIndex: 0,
+
+  // Bookmarks browsing state
+  currentBookmarkIndex: 0,
 };
 
 /**
@@ -41,6 +49,14 @@ export function getCurrentChapter() {
   return state.currentChapter;
 }
 
+export function getCurrentVerse() {
+  return state.currentVerse;
+}
+
+export function getVerseNumbers() {
+  return state.verseNumbers;
+}
+
 export function getPreviousTestament() {
   return state.previousTestament;
 }
@@ -54,6 +70,11 @@ export function getLetterCycleIndex() {
   return state.letterCycleIndex;
 }
 
+// Bookmarks browsing getters
+export function getCurrentBookmarkIndex() {
+  return state.currentBookmarkIndex;
+}
+
 // Navigation state setters
 export function setCurrentMode(mode) {
   const oldMode = state.currentMode;
@@ -67,6 +88,9 @@ export function setCurrentBookIndex(index) {
   const oldIndex = state.currentBookIndex;
   state.currentBookIndex = index;
   if (oldIndex !== index) {
+    // A verse only makes sense within its own chapter
+    state.currentVerse = null;
+    state.verseNumbers = [];
     eventBus.emit(Events.BOOK_CHANGED, { oldIndex, newIndex: index });
   }
 }
@@ -75,10 +99,24 @@ export function setCurrentChapter(chapter) {
   const oldChapter = state.currentChapter;
   state.currentChapter = chapter;
   if (oldChapter !== chapter) {
+    state.currentVerse = null;
+    state.verseNumbers = [];
     eventBus.emit(Events.CHAPTER_CHANGED, { oldChapter, newChapter: chapter });
   }
 }
 
+export function setCurrentVerse(verse) {
+  const oldVerse = state.currentVerse;
+  state.currentVerse = verse;
+  if (oldVerse !== verse) {
+    eventBus.emit(Events.VERSE_CHANGED, { oldVerse, newVerse: verse });
+  }
+}
+
+export function setVerseNumbers(numbers) {
+  state.verseNumbers = numbers;
+}
+
 export function setPreviousTestament(testament) {
   state.previousTestament = testament;
 }
@@ -92,13 +130,18 @@ export function setLetterCycleIndex(index) {
   state.letterCycleIndex = index;
 }
 
+// Bookmarks browsing setters
+export function setCurrentBookmarkIndex(index) {
+  state.currentBookmarkIndex = index;
+}
+
 // Mode transition functions
 export function enterChapterMode(allBooks, slider, updateChapterDisplayCallback, enterReadingModeCallback) {
   const currentItem = allBooks[state.currentBookIndex];
   const chapters = chapterCounts[currentItem.book];
 
-  state.currentMode = MODES.CHAPTERS;
-  state.currentChapter = 1;
+  setCurrentChapter(1);
+  setCurrentMode(MODES.CHAPTERS);
 
   slider.min = 1;
   slider.max = chapters;
@@ -108,7 +151,7 @@ export function enterChapterMode(allBooks, slider, updateChapterDisplayCallback,
 }
 
 export function exitChapterMode(slider, updateDisplayCallback) {
-  state.currentMode = MODES.BOOKS;
+  setCurrentMode(MODES.BOOKS);
 
   slider.min = 0;
   slider.max = 65;
@@ -117,12 +160,147 @@ export function exitChapterMode(slider, updateDisplayCallback) {
   updateDisplayCallback(state.currentBookIndex);
 }
 
+export function enterVerseMode(slider, updateVerseDisplayCallback) {
+  setCurrentVerse(state.verseNumbers[0] ?? 1);
+  setCurrentMode(MODES.VERSES);
+
+  // The real maximum is set once the chapter has loaded and its verses are counted
+  slider.min = 1;
+  slider.max = Math.max(state.verseNumbers.length, 1);
+  slider.value = 1;
+
+  updateVerseDisplayCallback();
+}
+
+export function exitVerseMode(allBooks, slider, updateChapterDisplayCallback) {
+  const currentItem = allBooks[state.currentBookIndex];
+
+  setCurrentVerse(null);
+  setCurrentMode(MODES.CHAPTERS);
+
+  slider.min = 1;
+  slider.max = chapterCounts[currentItem.book];
+  slider.value = state.currentChapter;
+
+  updateChapterDisplayCallback();
+}
+
 export function enterReadingMode(updateReadingDisplayCallback) {
-  state.currentMode = MODES.READING;
+  setCurrentMode(MODES.READING);
   updateReadingDisplayCallback();
 }
 
 export function exitReadingMode(allBooks, updateChapterDisplayCallback, exitChapterModeCallback) {
-  state.currentMode = MODES.CHAPTERS;
+  setCurrentMode(MODES.CHAPTERS);
   updateChapterDisplayCallback();
 }
+
+export function enterBookmarksMode(slider, bookmarkCount, updateBookmarksDisplayCallback) {
+  state.currentBookmarkIndex = Math.min(state.currentBookmarkIndex, Math.max(bookmarkCount - 1, 0));
+  setCurrentMode(MODES.BOOKMARKS);
+
+  slider.min = 0;
+  slider.max = Math.max(bookmarkCount - 1, 0);
+  slider.value = state.currentBookmarkIndex;
+
+  updateBookmarksDisplayCallback();
+}
+
+export function exitBookmarksMode(slider, updateDisplayCallback) {
+  setCurrentMode(MODES.BOOKS);
+
+  slider.min = 0;
+  slider.max = 65;
+  slider.value = state.currentBookIndex;
+
+  updateDisplayCallback(state.currentBookIndex);
+}
+
+export function enterSearchMode(updateSearchDisplayCallback) {
+  setCurrentMode(MODES.SEARCH);
+  updateSearchDisplayCallback();
+}
+
+export function exitSearchMode(slider, updateDisplayCallback) {
+  setCurrentMode(MODES.BOOKS);
+
+  slider.min = 0;
+  slider.max = 65;
+  slider.value = state.currentBookIndex;
+
+  updateDisplayCallback(state.currentBookIndex);
+}
+
+/**
+ * Jump straight to a location, bypassing the books -> chapters -> reading flow
+ * Used when restoring a view from the URL or following a link to a passage
+ * @param {Array} allBooks - Array of all book data
+ * @param {HTMLInputElement} slider - Range slider element
+ * @param {Object} target - Location to show
+ * @param {string} target.mode - One of MODES
+ * @param {number} [target.bookIndex] - Index into allBooks (not needed for bookmarks or search mode)
+ * @param {number} [target.chapter] - Chapter number (ignored in books mode)
+ * @param {number|null} [target.verse] - Verse to scroll to in reading mode, or to show in verses mode
+ * @param {Object} callbacks - Display callbacks
+ * @param {Function} callbacks.updateDisplayCallback - Callback to update book display
+ * @param {Function} callbacks.updateChapterDisplayCallback - Callback to update chapter display
+ * @param {Function} callbacks.updateReadingDisplayCallback - Callback to update reading display
+ * @param {Function} callbacks.updateVerseDisplayCallback - Callback to update verse display
+ * @param {Function} callbacks.enterBookmarksModeCallback - Callback to enter bookmarks mode
+ * @param {Function} callbacks.enterSearchModeCallback - Callback to enter search mode
+ */
+export function navigateTo(allBooks, slider, target, callbacks) {
+  const { mode, bookIndex, chapter = 1, verse = null } = target;
+
+  if (mode === MODES.BOOKMARKS) {
+    callbacks.enterBookmarksModeCallback();
+    return;
+  }
+
+  if (mode === MODES.SEARCH) {
+    callbacks.enterSearchModeCallback();
+    return;
+  }
+
+  const chapters = chapterCounts[allBooks[bookIndex].book];
+
+  setCurrentBookIndex(bookIndex);
+
+  if (mode === MODES.BOOKS) {
+    setCurrentMode(MODES.BOOKS);
+
+    slider.min = 0;
+    slider.max = 65;
+    slider.value = bookIndex;
+
+    callbacks.updateDisplayCallback(bookIndex);
+    return;
+  }
+
+  setCurrentChapter(Math.min(Math.max(chapter, 1), chapters));
+
+  if (mode === MODES.VERSES) {
+    setCurrentVerse(verse ?? 1);
+    setCurrentMode(MODES.VERSES);
+
+    // The verse display sets the slider range and position once it knows the chapter's verses
+    slider.min = 1;
+    slider.value = state.currentVerse;
+
+    callbacks.updateVerseDisplayCallback();
+    return;
+  }
+
+  setCurrentVerse(verse);
+  setCurrentMode(mode);
+
+  slider.min = 1;
+  slider.max = chapters;
+  slider.value = state.currentChapter;
+
+  if (mode === MODES.CHAPTERS) {
+    callbacks.updateChapterDisplayCallback();
+  } else {
+    callbacks.updateReadingDisplayCallback();
+  }
+}
@@ -0,0 +1,128 @@
+/**
+ * Personal notes attached to a verse or a whole chapter, stored locally
+ */
+
+import { createStore } from "./storage.js";
+import { eventBus, Events } from "./eventBus.js";
+import { formatReference } from "./bookDataUtils.js";
+
+/**
+ * Schema history:
+ *   v1 - { ["Book|chapter|verse"]: { book, chapter, verse, text, createdAt, updatedAt } }
+ *        (verse is null and the key ends in "|" for chapter notes)
+ */
+const noteStore = createStore("notes", {
+  version: 1,
+  defaults: () => ({}),
+});
+
+let notes = noteStore.load();
+
+/**
+ * @typedef {Object} Note
+ * @property {string} book - Book name
+ * @property {number} chapter - Chapter number
+ * @property {number|null} verse - Verse number, or null for a chapter note
+ * @property {string} text - Note text
+ * @property {number} createdAt - Creation timestamp (ms since epoch)
+ * @property {number} updatedAt - Last edit timestamp (ms since epoch)
+ */
+
+/**
+ * Build the storage key for a note
+ * @param {string} book - Book name
+ * @param {number} chapter - Chapter number
+ * @param {number|null} verse - Verse number, or null for the chapter
+ * @returns {string} Note key
+ */
+function getNoteKey(book, chapter, verse) {
+  return `${book}|${chapter}|${verse ?? ""}`;
+}
+
+/**
+ * Save notes and notify listeners
+ * @param {string} book - Book name of the changed note
+ * @param {number} chapter - Chapter number of the changed note
+ */
+function persist(book, chapter) {
+  noteStore.save(notes);
+  eventBus.emit(Events.NOTES_CHANGED, { book, chapter });
+}
+
+/**
+ * Get the note for a verse or chapter
+ * @param {string} book - Book name
+ * @param {number} chapter - Chapter number
+ * @param {number|null} [verse] - Verse number, or null for the chapter note
+ * @returns {Note|undefined} The note, if one exists
+ */
+export function getNote(book, chapter, verse = null) {
+  return notes[getNoteKey(book, chapter, verse)];
+}
+
+/**
+ * Get every note (chapter and verse level) within a chapter
+ * @param {string} book - Book name
+ * @param {number} chapter - Chapter number
+ * @returns {Array<Note>} Notes in the chapter
+ */
+export function getChapterNotes(book, chapter) {
+  return Object.values(notes).filter((note) => note.book === book && note.chapter === chapter);
+}
+
+/**
+ * Create or update a note; saving empty text deletes it
+ * @param {Object} params - Note to save
+ * @param {string} params.book - Book name
+ * @param {number} params.chapter - Chapter number
+ * @param {number|null} [params.verse] - Verse number, or null for a chapter note
+ * @param {string} params.text - Note text
+ */
+export function saveNote({ book, chapter, verse = null, text }) {
+  const key = getNoteKey(book, chapter, verse);
+  const trimmed = text.trim();
+
+  if (!trimmed) {
+    deleteNote(book, chapter, verse);
+    return;
+  }
+
+  const now = Date.now();
+  notes = {
+    ...notes,
+    [key]: { book, chapter, verse, text: trimmed, createdAt: notes[key]?.createdAt ?? now, updatedAt: now },
+  };
+  persist(book, chapter);
+}
+
+/**
+ * Delete a note
+ * @param {string} book - Book name
+ * @param {number} chapter - Chapter number
+ * @param {number|null} [verse] - Verse number, or null for the chapter note
+ */
+export function deleteNote(book, chapter, verse = null) {
+  const key = getNoteKey(book, chapter, verse);
+  if (!notes[key]) return;
+
+  notes = { ...notes };
+  delete notes[key];
+  persist(book, chapter);
+}
+
+/**
+ * Find notes whose text or reference contains the query, most recently edited first
+ * @param {string} query - Search text (empty returns every note)
+ * @returns {Array<Note>} Matching notes
+ */
+export function searchNotes(query) {
+  const needle = query.trim().toLowerCase();
+  return Object.values(notes)
+    .filter(
+      (note) =>
+        !needle ||
+        note.text.toLowerCase().includes(needle) ||
+        formatReference(note.book, note.chapter, note.verse).toLowerCase().includes(needle)
+    )
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+}
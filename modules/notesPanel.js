@@ -0,0 +1,108 @@
+/**
+ * Note editor and searchable notes list, both shown in the overlay panel
+ * so the user can write notes without leaving reading mode
+ */
+
+import { MODES } from "./constants.js";
+import { formatReference } from "./bookDataUtils.js";
+import { escapeHTML } from "./htmlUtils.js";
+import { getNote, saveNote, deleteNote, searchNotes } from "./notes.js";
+import { openPanel, closePanel } from "./panel.js";
+
+/**
+ * Open the editor for a verse or chapter note
+ * @param {Object} place - Place the note belongs to
+ * @param {string} place.book - Book name
+ * @param {number} place.chapter - Chapter number
+ * @param {number|null} [place.verse] - Verse number, or null for a chapter note
+ */
+export function openNoteEditor({ book, chapter, verse = null }) {
+  const existing = getNote(book, chapter, verse);
+
+  const content = document.createElement("div");
+  content.className = "note-editor";
+  content.innerHTML = `
+    <textarea class="note-editor-text" rows="8" placeholder="Write a note…"></textarea>
+    <div class="panel-actions">
+      <button class="panel-button" data-note-action="save">Save</button>
+      ${existing ? `<button class="panel-button" data-note-action="delete">Delete</button>` : ""}
+    </div>
+  `;
+
+  const textarea = content.querySelector(".note-editor-text");
+  textarea.value = existing ? existing.text : "";
+
+  content.addEventListener("click", (e) => {
+    const button = e.target.closest("[data-note-action]");
+    if (!button) return;
+
+    if (button.dataset.noteAction === "save") {
+      saveNote({ book, chapter, verse, text: textarea.value });
+    } else if (button.dataset.noteAction === "delete") {
+      deleteNote(book, chapter, verse);
+    }
+    closePanel();
+  });
+
+  const title = verse
+    ? `Note · ${formatReference(book, chapter, verse)}`
+    : `Chapter note · ${formatReference(book, chapter)}`;
+  openPanel({ title, content });
+  textarea.focus();
+}
+
+/**
+ * Show every note, filtered as the user types
+ * @param {Array} allBooks - Array of all book data
+ * @param {Function} navigateCallback - Callback to jump to a route ({ mode, bookIndex, chapter, verse })
+ */
+export function showNotesPanel(allBooks, navigateCallback) {
+  const content = document.createElement("div");
+  content.className = "notes-list";
+  content.innerHTML = `
+    <input class="panel-search" type="search" placeholder="Search notes" />
+    <div class="notes-results"></div>
+  `;
+
+  const input = content.querySelector(".panel-search");
+  const results = content.querySelector(".notes-results");
+
+  const renderResults = () => {
+    const matches = searchNotes(input.value);
+    if (matches.length === 0) {
+      results.innerHTML = `<div class="panel-empty">${
+        input.value.trim() ? "No notes match your search." : "No notes yet. Tap a verse number while reading to add one."
+      }</div>`;
+      return;
+    }
+
+    results.innerHTML = matches
+      .map(
+        (note) =>
+          `<button class="panel-item" data-book="${note.book}" data-chapter="${note.chapter}" data-verse="${note.verse ?? ""}">
+            <span class="panel-item-title">${formatReference(note.book, note.chapter, note.verse)}</span>
+            <span class="panel-item-detail">${escapeHTML(note.text)}</span>
+          </button>`
+      )
+      .join("");
+  };
+
+  input.addEventListener("input", renderResults);
+
+  results.addEventListener("click", (e) => {
+    const item = e.target.closest(".panel-item");
+    if (!item) return;
+
+    closePanel();
+    navigateCallback({
+      mode: MODES.READING,
+      bookIndex: allBooks.findIndex((book) => book.book === item.dataset.book),
+      chapter: Number(item.dataset.chapter),
+      verse: item.dataset.verse ? Number(item.dataset.verse) : null,
+    });
+  });
+
+  renderResults();
+  openPanel({ title: "Notes", content });
+  input.focus();
+}
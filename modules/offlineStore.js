@@ -0,0 +1,172 @@
+/**
+ * Persistent chapter store (IndexedDB) for reading without a connection
+ * Every function degrades to "nothing stored" where IndexedDB is unavailable (e.g. some private modes),
+ * so callers can always fall back to the network
+ */
+
+const DB_NAME = "bible-nav";
+const DB_VERSION = 1;
+const CHAPTER_STORE = "chapters";
+
+// Shared database connection request
+let databaseRequest = null;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise<*>} Request result
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open the database, creating its stores on first use
+ * @returns {Promise<IDBDatabase|null>} Database, or null if IndexedDB is unavailable
+ */
+function openDatabase() {
+  if (!databaseRequest) {
+    if (typeof indexedDB === "undefined") {
+      databaseRequest = Promise.resolve(null);
+      return databaseRequest;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      // Records: { key, translation, bookId, chapter, data, savedAt }
+      const store = request.result.createObjectStore(CHAPTER_STORE, { keyPath: "key" });
+      store.createIndex("translation", "translation");
+    };
+
+    databaseRequest = promisify(request).catch((error) => {
+      console.error("Offline storage unavailable:", error);
+      return null;
+    });
+  }
+  return databaseRequest;
+}
+
+/**
+ * Run a function against the chapter store in a transaction
+ * @param {IDBTransactionMode} mode - "readonly" or "readwrite"
+ * @param {Function} callback - Receives the object store, may return a request whose result is wanted
+ * @returns {Promise<*>} Request result once the transaction completes, or null if IndexedDB is unavailable
+ */
+async function withChapterStore(mode, callback) {
+  const db = await openDatabase();
+  if (!db) return null;
+
+  const transaction = db.transaction(CHAPTER_STORE, mode);
+  const completed = new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+
+  const request = callback(transaction.objectStore(CHAPTER_STORE));
+  await completed;
+  return request instanceof IDBRequest ? request.result : undefined;
+}
+
+/**
+ * Build the key a chapter is stored under
+ * @param {string} translation - Translation id
+ * @param {string} bookId - Book abbreviation (e.g. "GEN")
+ * @param {number} chapter - Chapter number
+ * @returns {string} Record key
+ */
+function getChapterKey(translation, bookId, chapter) {
+  return `${translation}:${bookId}:${chapter}`;
+}
+
+/**
+ * Read a stored chapter
+ * @param {string} translation - Translation id
+ * @param {string} bookId - Book abbreviation
+ * @param {number} chapter - Chapter number
+ * @returns {Promise<Object|null>} Chapter data, or null if it isn't stored
+ */
+export async function getOfflineChapter(translation, bookId, chapter) {
+  try {
+    const record = await withChapterStore("readonly", (store) =>
+      store.get(getChapterKey(translation, bookId, chapter))
+    );
+    return record?.data ?? null;
+  } catch (error) {
+    console.error("Error reading offline chapter:", error);
+    return null;
+  }
+}
+
+/**
+ * Store a chapter
+ * @param {string} translation - Translation id
+ * @param {string} bookId - Book abbreviation
+ * @param {number} chapter - Chapter number
+ * @param {Object} data - Chapter data from the provider
+ * @returns {Promise<boolean>} False if IndexedDB is unavailable
+ */
+export async function saveOfflineChapter(translation, bookId, chapter, data) {
+  const key = await withChapterStore("readwrite", (store) =>
+    store.put({
+      key: getChapterKey(translation, bookId, chapter),
+      translation,
+      bookId,
+      chapter,
+      data,
+      savedAt: new Date().toISOString(),
+    })
+  );
+  return key !== null;
+}
+
+/**
+ * List the chapters stored for a translation
+ * @param {string} translation - Translation id
+ * @returns {Promise<Set<string>>} Stored "BOOK:chapter" pairs (e.g. "GEN:1")
+ */
+export async function getOfflineChapterKeys(translation) {
+  try {
+    const keys = await withChapterStore("readonly", (store) =>
+      store.index("translation").getAllKeys(IDBKeyRange.only(translation))
+    );
+    return new Set((keys || []).map((key) => key.slice(translation.length + 1)));
+  } catch (error) {
+    console.error("Error listing offline chapters:", error);
+    return new Set();
+  }
+}
+
+/**
+ * Delete the stored chapters of one book
+ * @param {string} translation - Translation id
+ * @param {string} bookId - Book abbreviation
+ * @param {number} chapters - Number of chapters in the book
+ */
+export async function deleteOfflineBook(translation, bookId, chapters) {
+  await withChapterStore("readwrite", (store) => {
+    for (let chapter = 1; chapter <= chapters; chapter++) {
+      store.delete(getChapterKey(translation, bookId, chapter));
+    }
+  });
+}
+
+/**
+ * Report how much storage the app is using
+ * @returns {Promise<{chapters: number, usage: number|null, quota: number|null}>} Stored chapter count, and bytes
+ *   used / available to the app (null where the browser doesn't say)
+ */
+export async function getStorageUsage() {
+  let chapters = 0;
+  try {
+    chapters = (await withChapterStore("readonly", (store) => store.count())) ?? 0;
+  } catch (error) {
+    console.error("Error counting offline chapters:", error);
+  }
+
+  const estimate = (await navigator.storage?.estimate?.().catch(() => null)) ?? {};
+  return { chapters, usage: estimate.usage ?? null, quota: estimate.quota ?? null };
+}
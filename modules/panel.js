@@ -0,0 +1,73 @@
+/**
+ * Overlay panel for lists and editors shown on top of the current view
+ * Only one panel is open at a time; opening another replaces its content
+ */
+
+let panelElements = null;
+let closeCallback = null;
+
+/**
+ * Initialize the panel
+ * @param {HTMLElement} panel - Panel element containing .panel-title, .panel-close and .panel-body
+ */
+export function initPanel(panel) {
+  panelElements = {
+    panel,
+    title: panel.querySelector(".panel-title"),
+    body: panel.querySelector(".panel-body"),
+  };
+
+  panel.querySelector(".panel-close").addEventListener("click", closePanel);
+
+  document.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" && isPanelOpen()) {
+      closePanel();
+    }
+  });
+}
+
+/**
+ * Open the panel with new content
+ * @param {Object} options - Panel options
+ * @param {string} options.title - Panel title
+ * @param {HTMLElement} options.content - Content element (owns its own event listeners)
+ * @param {Function} [options.onClose] - Called when the panel is closed
+ */
+export function openPanel({ title, content, onClose = null }) {
+  if (!panelElements) {
+    throw new Error("Panel not initialized. Call initPanel first.");
+  }
+
+  if (isPanelOpen()) {
+    closePanel();
+  }
+
+  panelElements.title.textContent = title;
+  panelElements.body.replaceChildren(content);
+  panelElements.panel.hidden = false;
+  closeCallback = onClose;
+}
+
+/**
+ * Close the panel
+ */
+export function closePanel() {
+  if (!panelElements || panelElements.panel.hidden) return;
+
+  panelElements.panel.hidden = true;
+  panelElements.body.replaceChildren();
+
+  const callback = closeCallback;
+  closeCallback = null;
+  if (callback) {
+    callback();
+  }
+}
+
+/**
+ * Check whether the panel is showing
+ * @returns {boolean} True if open
+ */
+export function isPanelOpen() {
+  return Boolean(panelElements) && !panelElements.panel.hidden;
+}
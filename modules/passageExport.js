@@ -0,0 +1,277 @@
+/**
+ * Passage export - a chapter or verse range as Markdown, plain text or a printable HTML page,
+ * optionally with its footnotes and the reader's highlights and notes
+ */
+
+import { bookAbbreviations, chapterCounts } from "/data.js";
+import { HIGHLIGHT_COLORS } from "./constants.js";
+import { formatReference, getBookSlug } from "./bookDataUtils.js";
+import { fetchChapter } from "./bibleApiService.js";
+import { parseChapter, sliceChapter } from "./chapterModel.js";
+import { renderChapterText } from "./chapterTextRenderer.js";
+import { renderChapterMarkdown, escapeMarkdown } from "./chapterMarkdownRenderer.js";
+import { renderChapterHTML } from "./chapterHtmlRenderer.js";
+import { escapeHTML } from "./htmlUtils.js";
+import { getChapterHighlights, getHighlightedPassages } from "./highlights.js";
+import { getChapterNotes } from "./notes.js";
+import { getSetting, getTranslation } from "./settings.js";
+
+export const EXPORT_FORMATS = {
+  markdown: { label: "Markdown", extension: "md", type: "text/markdown" },
+  text: { label: "Plain text", extension: "txt", type: "text/plain" },
+  html: { label: "Printable page", extension: "html", type: "text/html" },
+};
+
+// Print colors for highlights - the app's translucent ones are made for a dark background
+const PRINT_HIGHLIGHTS = {
+  yellow: "#fff3a8",
+  green: "#cdeecf",
+  blue: "#cfe3ff",
+  pink: "#ffd3e4",
+  purple: "#e3d6ff",
+};
+
+/**
+ * Format the citation for a passage
+ * @param {Object} passage - Passage ({ book, chapter, verseStart, verseEnd })
+ * @param {string} translationName - Short translation name (e.g. "BSB")
+ * @returns {string} Citation (e.g. "John 3:16–18 (BSB)")
+ */
+export function formatCitation({ book, chapter, verseStart = null, verseEnd = null }, translationName) {
+  return `${formatReference(book, chapter, verseStart, verseEnd)} (${translationName})`;
+}
+
+/**
+ * Build a file name for an exported passage
+ * @param {Object} passage - Passage ({ book, chapter, verseStart, verseEnd })
+ * @param {string} extension - File extension
+ * @returns {string} File name (e.g. "john-3-16-18.md")
+ */
+function getFilename({ book, chapter, verseStart = null, verseEnd = null }, extension) {
+  const verses = verseStart ? `-${verseStart}${verseEnd && verseEnd !== verseStart ? `-${verseEnd}` : ""}` : "";
+  return `${getBookSlug(book)}-${chapter}${verses}.${extension}`;
+}
+
+/**
+ * Get the reader's highlights within a passage, merged into runs of one color
+ * @param {Object} passage - Passage ({ book, chapter, verseStart, verseEnd })
+ * @returns {Array<{verses: string, color: string}>} Highlighted ranges (e.g. { verses: "3:16–17", color: "Yellow" })
+ */
+function getPassageHighlights({ book, chapter, verseStart = null, verseEnd = null }) {
+  const first = verseStart ?? 1;
+  const last = verseEnd ?? verseStart ?? Infinity;
+
+  return getHighlightedPassages()
+    .filter((item) => item.book === book && item.chapter === chapter)
+    .filter((item) => item.verseEnd >= first && item.verseStart <= last)
+    .map((item) => {
+      const start = Math.max(item.verseStart, first);
+      const end = Math.min(item.verseEnd, last);
+      return {
+        verses: end === start ? `${chapter}:${start}` : `${chapter}:${start}–${end}`,
+        color: HIGHLIGHT_COLORS.find((color) => color.id === item.color)?.label ?? item.color,
+      };
+    });
+}
+
+/**
+ * Get the reader's notes on a passage: the chapter note, then notes on verses in the range
+ * @param {Object} passage - Passage ({ book, chapter, verseStart, verseEnd })
+ * @returns {Array<import("./notes.js").Note>} Notes in verse order
+ */
+function getPassageNotes({ book, chapter, verseStart = null, verseEnd = null }) {
+  const first = verseStart ?? 1;
+  const last = verseEnd ?? verseStart ?? Infinity;
+
+  return getChapterNotes(book, chapter)
+    .filter((note) => note.verse === null || (note.verse >= first && note.verse <= last))
+    .sort((a, b) => (a.verse ?? 0) - (b.verse ?? 0));
+}
+
+/**
+ * Label a note with the chapter or verse it belongs to
+ * @param {import("./notes.js").Note} note - Note
+ * @returns {string} Label (e.g. "John 3" or "3:16")
+ */
+function getNoteLabel(note) {
+  return note.verse === null ? formatReference(note.book, note.chapter) : `${note.chapter}:${note.verse}`;
+}
+
+/**
+ * Build the plain text export
+ * @param {Object} params - Passage, parsed text and extras to include
+ * @returns {string} Text
+ */
+function buildText({ passage, chapter, citation, highlights, notes, footnotes }) {
+  const sections = [citation, renderChapterText(chapter, { footnotes })];
+
+  if (highlights) {
+    const ranges = getPassageHighlights(passage);
+    if (ranges.length > 0) {
+      sections.push(["Highlights", ...ranges.map((range) => `${range.verses} ${range.color}`)].join("\n"));
+    }
+  }
+
+  if (notes) {
+    const items = getPassageNotes(passage);
+    if (items.length > 0) {
+      sections.push(["Notes", ...items.map((note) => `${getNoteLabel(note)} - ${note.text}`)].join("\n"));
+    }
+  }
+
+  return `${sections.join("\n\n")}\n`;
+}
+
+/**
+ * Build the Markdown export
+ * @param {Object} params - Passage, parsed text and extras to include
+ * @returns {string} Markdown
+ */
+function buildMarkdown({ passage, chapter, citation, highlights, notes, footnotes }) {
+  const sections = [`# ${escapeMarkdown(citation)}`, renderChapterMarkdown(chapter, { footnotes })];
+
+  if (highlights) {
+    const ranges = getPassageHighlights(passage);
+    if (ranges.length > 0) {
+      sections.push(["## Highlights", ...ranges.map((range) => `- ${range.verses} ${range.color}`)].join("\n"));
+    }
+  }
+
+  if (notes) {
+    const items = getPassageNotes(passage);
+    if (items.length > 0) {
+      sections.push(
+        [
+          "## Notes",
+          ...items.map(
+            (note) => `- **${escapeMarkdown(getNoteLabel(note))}** ${escapeMarkdown(note.text).replace(/\n/g, "\n  ")}`
+          ),
+        ].join("\n")
+      );
+    }
+  }
+
+  return `${sections.join("\n\n")}\n`;
+}
+
+/**
+ * Build the printable HTML page
+ * @param {Object} params - Passage, parsed text and extras to include
+ * @returns {string} Standalone HTML document
+ */
+function buildHTML({ passage, chapter, citation, highlights, notes, footnotes }) {
+  const chapterHighlights = highlights ? getChapterHighlights(passage.book, passage.chapter) : {};
+  const noteItems = notes ? getPassageNotes(passage) : [];
+  const highlightStyles = Object.entries(PRINT_HIGHLIGHTS)
+    .map(([color, background]) => `.highlight-${color} .verse-text { background: ${background}; }`)
+    .join("\n      ");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHTML(citation)}</title>
+    <style>
+      @page { margin: 2cm; }
+      body { font-family: Georgia, "Times New Roman", serif; font-size: 12pt; line-height: 1.6; color: #111; max-width: 40em; margin: 2em auto; padding: 0 1em; }
+      h1 { font-size: 20pt; font-weight: normal; margin: 0 0 1em; }
+      h2 { font-size: 13pt; margin: 1.5em 0 0.5em; break-after: avoid; }
+      .verse-number { font-size: 0.65em; color: #666; }
+      .verse.poetry { display: block; position: relative; padding-left: 2em; }
+      .verse.poetry .verse-number { position: absolute; left: 0; }
+      .poetry-line { display: block; padding-left: 1.5em; text-indent: -1.5em; }
+      .poetry-line.indent-2 { padding-left: 3em; }
+      .poetry-line.indent-3 { padding-left: 4.5em; }
+      .paragraph-break { display: block; margin-top: 0.75em; }
+      .passage-heading + .paragraph-break { display: none; }
+      ${getSetting("redLetter") ? ".words-of-jesus { color: #b71c1c; }" : ""}
+      .verse-text { -webkit-print-color-adjust: exact; print-color-adjust: exact; box-decoration-break: clone; -webkit-box-decoration-break: clone; }
+      ${highlightStyles}
+      .footnote-ref a { color: inherit; text-decoration: none; }
+      .footnotes, .notes { font-size: 10pt; border-top: 1px solid #ccc; margin-top: 2em; padding-top: 0.5em; }
+      .footnote-caller, .note-label { font-weight: bold; margin-right: 0.25em; }
+      .note-text { white-space: pre-line; }
+      .citation { margin-top: 2em; font-style: italic; color: #444; }
+    </style>
+  </head>
+  <body>
+    <h1>${escapeHTML(formatReference(passage.book, passage.chapter, passage.verseStart, passage.verseEnd))}</h1>
+    ${renderChapterHTML(chapter, { footnotes, highlights: chapterHighlights })}
+    ${
+      noteItems.length > 0
+        ? `<section class="notes">
+      <h2>Notes</h2>
+      ${noteItems
+        .map(
+          (note) =>
+            `<p><span class="note-label">${escapeHTML(getNoteLabel(note))}</span> <span class="note-text">${escapeHTML(note.text)}</span></p>`
+        )
+        .join("\n      ")}
+    </section>`
+        : ""
+    }
+    <p class="citation">${escapeHTML(citation)}</p>
+  </body>
+</html>
+`;
+}
+
+const BUILDERS = {
+  markdown: buildMarkdown,
+  text: buildText,
+  html: buildHTML,
+};
+
+/**
+ * Export a chapter or verse range
+ * @param {Object} passage - Passage to export
+ * @param {string} passage.book - Book name (as in data.js)
+ * @param {number} passage.chapter - Chapter number
+ * @param {number|null} [passage.verseStart] - First verse (null for the whole chapter)
+ * @param {number|null} [passage.verseEnd] - Last verse (default: verseStart)
+ * @param {Object} [options] - Export options
+ * @param {string} [options.format="markdown"] - Key of EXPORT_FORMATS
+ * @param {string} [options.translation] - Translation id (default: the main translation)
+ * @param {boolean} [options.footnotes=false] - Include the translation's footnotes
+ * @param {boolean} [options.highlights=false] - Include the reader's highlights
+ * @param {boolean} [options.notes=false] - Include the reader's notes
+ * @returns {Promise<{filename: string, content: string, type: string}>} File to save
+ * @throws {Error} If the passage doesn't exist or the chapter can't be loaded
+ */
+export async function exportPassage(
+  { book, chapter: chapterNumber, verseStart = null, verseEnd = verseStart },
+  { format = "markdown", translation = getTranslation(), footnotes = false, highlights = false, notes = false } = {}
+) {
+  const passage = { book, chapter: chapterNumber, verseStart, verseEnd };
+  const exportFormat = EXPORT_FORMATS[format];
+  if (!exportFormat) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+  if (!bookAbbreviations[book] || chapterNumber < 1 || chapterNumber > chapterCounts[book]) {
+    throw new Error(`No such chapter: ${formatReference(book, chapterNumber)}`);
+  }
+  if (verseStart && verseEnd < verseStart) {
+    throw new Error("The last verse comes before the first");
+  }
+
+  let chapterData;
+  try {
+    chapterData = await fetchChapter(book, chapterNumber, translation);
+  } catch {
+    throw new Error(`Unable to load ${formatReference(book, chapterNumber)}. Please check your internet connection.`);
+  }
+
+  const parsed = parseChapter(chapterData);
+  const chapter = parsed && sliceChapter(parsed, verseStart, verseEnd);
+  if (!chapter || !chapter.blocks.some((block) => block.type === "verse")) {
+    throw new Error(`No verses in ${formatReference(book, chapterNumber, verseStart, verseEnd)}`);
+  }
+
+  const citation = formatCitation(passage, chapter.translationName || translation);
+  return {
+    filename: getFilename(passage, exportFormat.extension),
+    content: BUILDERS[format]({ passage, chapter, citation, highlights, notes, footnotes }),
+    type: exportFormat.type,
+  };
+}
@@ -0,0 +1,246 @@
+/**
+ * Reading plan panel - today's assignment and progress for the active plan,
+ * plus choosing, creating, importing and exporting plans
+ */
+
+import { categories } from "/data.js";
+import { MODES } from "./constants.js";
+import { formatReference } from "./bookDataUtils.js";
+import { escapeHTML } from "./htmlUtils.js";
+import { downloadFile } from "./fileUtils.js";
+import { openPanel, closePanel } from "./panel.js";
+import {
+  getPlans,
+  getPlan,
+  getPlanProgress,
+  buildSchedule,
+  startPlan,
+  stopPlan,
+  setChapterComplete,
+  addCustomPlan,
+  removeCustomPlan,
+  exportPlan,
+  importPlan,
+} from "./readingPlans.js";
+
+/**
+ * Build the progress view for the active plan
+ * @param {Object} progress - Progress from getPlanProgress()
+ * @returns {string} HTML string
+ */
+function renderProgress(progress) {
+  const { plan, dayNumber, today, completedChapters, totalChapters, streak, daysBehind, finished } = progress;
+
+  const assignment = today
+    .map(
+      ({ book, chapter, complete }) => `
+        <div class="plan-chapter">
+          <label>
+            <input type="checkbox" data-book="${book}" data-chapter="${chapter}" ${complete ? "checked" : ""} />
+            ${formatReference(book, chapter)}
+          </label>
+          <button class="panel-button" data-plan-action="open" data-book="${book}" data-chapter="${chapter}">Read</button>
+        </div>`
+    )
+    .join("");
+
+  let status = `${streak} day streak`;
+  if (finished) {
+    status = "Plan complete!";
+  } else if (daysBehind > 0) {
+    status += ` · ${daysBehind} ${daysBehind === 1 ? "day" : "days"} behind`;
+  }
+
+  return `
+    <div class="plan-name">${escapeHTML(plan.name)}</div>
+    <div class="plan-stats">Day ${dayNumber} of ${plan.days} · ${completedChapters} of ${totalChapters} chapters</div>
+    <div class="plan-stats">${status}</div>
+    <div class="panel-group">
+      <div class="panel-group-title">Today's reading</div>
+      ${assignment}
+    </div>
+    <div class="panel-actions">
+      <button class="panel-button" data-plan-action="export" data-plan-id="${plan.id}">Export</button>
+      <button class="panel-button" data-plan-action="choose">Change plan</button>
+      <button class="panel-button" data-plan-action="stop">Stop plan</button>
+    </div>
+  `;
+}
+
+/**
+ * Build the list of plans to choose from
+ * @returns {string} HTML string
+ */
+function renderPlanList() {
+  const items = getPlans()
+    .map((plan) => {
+      const chapters = buildSchedule(plan).flat().length;
+      const isCustom = plan.id.startsWith("custom-");
+      return `
+        <div class="plan-option">
+          <div class="panel-item-title">${escapeHTML(plan.name)}</div>
+          <div class="panel-item-detail">${plan.days} days · ${chapters} chapters</div>
+          <div class="panel-actions">
+            <button class="panel-button" data-plan-action="start" data-plan-id="${plan.id}">Start</button>
+            <button class="panel-button" data-plan-action="export" data-plan-id="${plan.id}">Export</button>
+            ${isCustom ? `<button class="panel-button" data-plan-action="delete" data-plan-id="${plan.id}">Delete</button>` : ""}
+          </div>
+        </div>`;
+    })
+    .join("");
+
+  return `
+    ${items}
+    <div class="panel-actions">
+      <button class="panel-button" data-plan-action="create">Create custom plan</button>
+      <label class="panel-button">
+        Import plan
+        <input class="plan-import" type="file" accept="application/json,.json" hidden />
+      </label>
+    </div>
+  `;
+}
+
+/**
+ * Build the custom plan form
+ * @returns {string} HTML string
+ */
+function renderCustomPlanForm() {
+  const groups = categories
+    .map(
+      (category) => `
+        <div class="panel-group">
+          <div class="panel-group-title">${category.testament} · ${category.name}</div>
+          <div class="plan-books">
+            ${category.books
+              .map((book) => `<label class="plan-book"><input type="checkbox" value="${book}" /> ${book}</label>`)
+              .join("")}
+          </div>
+        </div>`
+    )
+    .join("");
+
+  return `
+    <input class="panel-search plan-name-input" type="text" placeholder="Plan name" />
+    <input class="panel-search plan-days-input" type="number" min="1" placeholder="Number of days" />
+    ${groups}
+    <div class="panel-actions">
+      <button class="panel-button" data-plan-action="save-custom">Save plan</button>
+      <button class="panel-button" data-plan-action="choose">Cancel</button>
+    </div>
+  `;
+}
+
+/**
+ * Show the reading plan panel
+ * @param {Array} allBooks - Array of all book data
+ * @param {Function} navigateCallback - Callback to jump to a route ({ mode, bookIndex, chapter, verse })
+ */
+export function showPlansPanel(allBooks, navigateCallback) {
+  const content = document.createElement("div");
+  content.className = "plans-panel";
+
+  let view = getPlanProgress() ? "progress" : "choose";
+  let error = "";
+
+  const render = () => {
+    const progress = getPlanProgress();
+    if (view === "progress" && !progress) {
+      view = "choose";
+    }
+
+    let body;
+    if (view === "progress") {
+      body = renderProgress(progress);
+    } else if (view === "create") {
+      body = renderCustomPlanForm();
+    } else {
+      body = renderPlanList();
+    }
+
+    content.innerHTML = `${error ? `<div class="panel-error">${escapeHTML(error)}</div>` : ""}${body}`;
+    error = "";
+  };
+
+  const showError = (message) => {
+    error = message;
+    render();
+  };
+
+  content.addEventListener("change", async (e) => {
+    // Ticking a chapter in today's assignment
+    if (e.target.matches(".plan-chapter input[type=checkbox]")) {
+      setChapterComplete(e.target.dataset.book, Number(e.target.dataset.chapter), e.target.checked);
+      render();
+    }
+
+    if (e.target.matches(".plan-import") && e.target.files.length > 0) {
+      try {
+        importPlan(await e.target.files[0].text());
+        render();
+      } catch (importError) {
+        showError(importError.message);
+      }
+    }
+  });
+
+  content.addEventListener("click", (e) => {
+    const button = e.target.closest("[data-plan-action]");
+    if (!button) return;
+
+    const planId = button.dataset.planId;
+
+    switch (button.dataset.planAction) {
+      case "open":
+        closePanel();
+        navigateCallback({
+          mode: MODES.READING,
+          bookIndex: allBooks.findIndex((item) => item.book === button.dataset.book),
+          chapter: Number(button.dataset.chapter),
+        });
+        return;
+      case "start":
+        startPlan(planId);
+        view = "progress";
+        break;
+      case "stop":
+        stopPlan();
+        view = "choose";
+        break;
+      case "choose":
+        view = "choose";
+        break;
+      case "create":
+        view = "create";
+        break;
+      case "delete":
+        removeCustomPlan(planId);
+        break;
+      case "export":
+        downloadFile(`${getPlan(planId).name.replace(/[^\w-]+/g, "-")}.json`, exportPlan(planId), "application/json");
+        return;
+      case "save-custom": {
+        const books = [...content.querySelectorAll(".plan-book input:checked")].map((input) => input.value);
+        try {
+          addCustomPlan({
+            name: content.querySelector(".plan-name-input").value,
+            books,
+            days: Number(content.querySelector(".plan-days-input").value),
+          });
+          view = "choose";
+        } catch (saveError) {
+          // Keep the form (and what the user entered) on screen
+          content.querySelector(".panel-error")?.remove();
+          content.insertAdjacentHTML("afterbegin", `<div class="panel-error">${escapeHTML(saveError.message)}</div>`);
+          return;
+        }
+        break;
+      }
+    }
+
+    render();
+  });
+
+  render();
+  openPanel({ title: "Reading plan", content });
+}
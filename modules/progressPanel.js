@@ -0,0 +1,79 @@
+/**
+ * Reading progress panel - chapters read per testament and book, with reset options
+ */
+
+import {
+  getBookProgress,
+  getTestamentBooks,
+  getTestamentProgress,
+  resetBookProgress,
+  resetTestamentProgress,
+} from "./readingProgress.js";
+import { openPanel } from "./panel.js";
+
+const TESTAMENTS = ["Old Testament", "New Testament"];
+
+/**
+ * Build the progress summary for one testament
+ * @param {string} testament - Testament name
+ * @returns {string} HTML string
+ */
+function renderTestament(testament) {
+  const { read, total } = getTestamentProgress(testament);
+
+  const books = getTestamentBooks(testament)
+    .map((book) => ({ book, ...getBookProgress(book) }))
+    .filter((book) => book.read > 0)
+    .map(
+      ({ book, read: bookRead, total: bookTotal }) => `
+        <div class="progress-row">
+          <span>${book} <span class="read-count">${bookRead} of ${bookTotal} chapters read</span></span>
+          <button class="panel-button" data-reset-book="${book}">Reset</button>
+        </div>`
+    )
+    .join("");
+
+  return `
+    <div class="panel-group">
+      <div class="panel-group-title progress-row">
+        <span>${testament} · ${read} of ${total} chapters read</span>
+        ${read > 0 ? `<button class="panel-button" data-reset-testament="${testament}">Reset</button>` : ""}
+      </div>
+      ${books || `<div class="panel-empty">No chapters read yet</div>`}
+    </div>
+  `;
+}
+
+/**
+ * Show the reading progress panel
+ */
+export function showProgressPanel() {
+  const content = document.createElement("div");
+  content.className = "progress-panel";
+
+  const render = () => {
+    content.innerHTML = TESTAMENTS.map(renderTestament).join("");
+  };
+
+  content.addEventListener("click", (e) => {
+    const bookButton = e.target.closest("[data-reset-book]");
+    const testamentButton = e.target.closest("[data-reset-testament]");
+
+    if (bookButton) {
+      const book = bookButton.dataset.resetBook;
+      if (window.confirm(`Reset reading progress for ${book}?`)) {
+        resetBookProgress(book);
+        render();
+      }
+    } else if (testamentButton) {
+      const testament = testamentButton.dataset.resetTestament;
+      if (window.confirm(`Reset reading progress for the whole ${testament}?`)) {
+        resetTestamentProgress(testament);
+        render();
+      }
+    }
+  });
+
+  render();
+  openPanel({ title: "Reading progress", content });
+}
@@ -0,0 +1,41 @@
+/**
+ * In-memory scripture provider for tests and demos - no network access
+ */
+
+/**
+ * Create a provider that serves chapters from memory
+ * @param {Object} fixture - Provider data
+ * @param {Array<Object>} [fixture.translations] - Translation catalog entries ({ id, name, language, ... })
+ * @param {Object<string, Array<Object>>} [fixture.books] - Translation id -> books ({ id, name, numberOfChapters })
+ * @param {Object<string, Object>} [fixture.chapters] - "TRANSLATION:BOOK:chapter" -> chapter data in the API format
+ * @returns {import("./index.js").ScriptureProvider} Provider
+ *
+ * @example
+ * const provider = createFixtureProvider({
+ *   translations: [{ id: "BSB", name: "Berean Standard Bible", language: "eng" }],
+ *   chapters: { "BSB:JHN:3": { chapter: { number: 3, content: [...], footnotes: [] } } },
+ * });
+ */
+export function createFixtureProvider({ translations = [], books = {}, chapters = {} } = {}) {
+  return {
+    name: "fixture",
+
+    async fetchChapter(translation, bookId, chapter) {
+      const data = chapters[`${translation}:${bookId}:${chapter}`];
+      if (!data) {
+        const error = new Error(`Chapter not found: ${translation} ${bookId} ${chapter}`);
+        error.status = 404;
+        throw error;
+      }
+      return data;
+    },
+
+    async fetchBooks(translation) {
+      return books[translation] || [];
+    },
+
+    async fetchTranslations() {
+      return translations;
+    },
+  };
+}
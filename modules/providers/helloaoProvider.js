@@ -0,0 +1,33 @@
+/**
+ * Scripture provider for the Free Use Bible API (https://bible.helloao.org)
+ */
+
+import { fetchJson } from "./http.js";
+
+export const HELLOAO_BASE_URL = "https://bible.helloao.org/api";
+
+/**
+ * Create a provider that reads from the helloao API (or anything serving the same paths)
+ * @param {Object} [options] - Provider options
+ * @param {string} [options.baseUrl] - API base URL, without a trailing slash
+ * @returns {import("./index.js").ScriptureProvider} Provider
+ */
+export function createHelloaoProvider({ baseUrl = HELLOAO_BASE_URL } = {}) {
+  return {
+    name: "helloao",
+
+    fetchChapter(translation, bookId, chapter, { signal } = {}) {
+      return fetchJson(`${baseUrl}/${translation}/${bookId}/${chapter}.json`, { signal });
+    },
+
+    async fetchBooks(translation) {
+      const data = await fetchJson(`${baseUrl}/${translation}/books.json`);
+      return data.books || [];
+    },
+
+    async fetchTranslations() {
+      const data = await fetchJson(`${baseUrl}/available_translations.json`);
+      return data.translations || [];
+    },
+  };
+}
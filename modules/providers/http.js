@@ -0,0 +1,24 @@
+/**
+ * Shared request helper for providers that read JSON over HTTP
+ */
+
+/**
+ * Fetch and parse a JSON document
+ * @param {string} url - Document URL
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Signal to cancel the request
+ * @returns {Promise<*>} Parsed JSON
+ * @throws {Error} If the request fails, is cancelled or returns a non-OK status (the error's status property
+ *   holds the HTTP status; network failures reject with a TypeError)
+ */
+export async function fetchJson(url, { signal } = {}) {
+  const response = await fetch(url, { signal });
+
+  if (!response.ok) {
+    const error = new Error(`API request failed: ${response.status} ${response.statusText}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return response.json();
+}
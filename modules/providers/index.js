@@ -0,0 +1,38 @@
+/**
+ * Scripture data providers
+ * A provider is where chapter text comes from. bibleApiService talks to one provider at a time,
+ * so the app can run against the helloao API, texts bundled with the app, or fixed data in tests.
+ */
+
+import { createHelloaoProvider } from "./helloaoProvider.js";
+import { createLocalProvider } from "./localProvider.js";
+
+export { createHelloaoProvider } from "./helloaoProvider.js";
+export { createLocalProvider } from "./localProvider.js";
+export { createFixtureProvider } from "./fixtureProvider.js";
+
+/**
+ * @typedef {Object} ScriptureProvider
+ * @property {string} name - Provider name (e.g. "helloao"), for diagnostics
+ * @property {function(string, string, number, {signal: AbortSignal}=): Promise<Object>} fetchChapter -
+ *   (translation, bookId, chapter, { signal }) -> chapter data in the helloao format
+ *   ({ translation, chapter: { number, content, footnotes } }); bookId is the API abbreviation (e.g. "GEN").
+ *   Providers that fetch over the network should stop when the signal aborts.
+ * @property {function(string): Promise<Array<Object>>} fetchBooks - (translation) -> books ({ id, name, numberOfChapters })
+ * @property {function(): Promise<Array<Object>>} fetchTranslations - Translation catalog ({ id, name, language, ... })
+ */
+
+/**
+ * Create the provider selected by the build environment
+ *   VITE_BIBLE_PROVIDER - "helloao" (default) or "local"
+ *   VITE_BIBLE_API_BASE_URL - Base URL for the helloao provider (e.g. a local mock of the API)
+ *   VITE_BIBLE_LOCAL_BASE_URL - Folder the local provider reads from (default "/bibles")
+ * @param {Object} [env] - Environment variables
+ * @returns {ScriptureProvider} Provider
+ */
+export function createProviderFromEnv(env = import.meta.env ?? {}) {
+  if (env.VITE_BIBLE_PROVIDER === "local") {
+    return createLocalProvider({ baseUrl: env.VITE_BIBLE_LOCAL_BASE_URL || undefined });
+  }
+  return createHelloaoProvider({ baseUrl: env.VITE_BIBLE_API_BASE_URL || undefined });
+}
@@ -0,0 +1,55 @@
+/**
+ * Scripture provider for Bible texts bundled with the app as static JSON files
+ * Files use the same layout and chapter format as the helloao API, so an export of it can be dropped in as-is:
+ *
+ *   {baseUrl}/available_translations.json   { translations: [{ id, name, language, ... }] }
+ *   {baseUrl}/{translation}/books.json      { books: [{ id, name, numberOfChapters }] } (optional)
+ *   {baseUrl}/{translation}/{BOOK}/{n}.json  one chapter, e.g. BSB/GEN/1.json
+ */
+
+import { bookAbbreviations, chapterCounts } from "/data.js";
+import { fetchJson } from "./http.js";
+
+export const LOCAL_BASE_URL = "/bibles";
+
+/**
+ * Build a book list from the app's own book data, for translations bundled without books.json
+ * @returns {Array<{id: string, name: string, numberOfChapters: number}>} Books in canonical order
+ */
+function getDefaultBooks() {
+  return Object.entries(bookAbbreviations).map(([name, id]) => ({
+    id,
+    name,
+    numberOfChapters: chapterCounts[name],
+  }));
+}
+
+/**
+ * Create a provider that reads bundled JSON files
+ * @param {Object} [options] - Provider options
+ * @param {string} [options.baseUrl] - Folder the files are served from, without a trailing slash
+ * @returns {import("./index.js").ScriptureProvider} Provider
+ */
+export function createLocalProvider({ baseUrl = LOCAL_BASE_URL } = {}) {
+  return {
+    name: "local",
+
+    fetchChapter(translation, bookId, chapter, { signal } = {}) {
+      return fetchJson(`${baseUrl}/${translation}/${bookId}/${chapter}.json`, { signal });
+    },
+
+    async fetchBooks(translation) {
+      try {
+        const data = await fetchJson(`${baseUrl}/${translation}/books.json`);
+        return data.books || [];
+      } catch {
+        return getDefaultBooks();
+      }
+    },
+
+    async fetchTranslations() {
+      const data = await fetchJson(`${baseUrl}/available_translations.json`);
+      return data.translations || [];
+    },
+  };
+}
@@ -0,0 +1,391 @@
+/**
+ * Reading plans - daily chapter assignments built from the book data
+ * A plan definition is just a list of books and a number of days; the schedule spreads
+ * the books' chapters evenly over those days. Progress for the active plan is stored locally
+ */
+
+import { chapterCounts, categories } from "/data.js";
+import { createStore } from "./storage.js";
+import { eventBus, Events } from "./eventBus.js";
+import { pinChapter, unpinChapter } from "./bibleApiService.js";
+import { getTranslation } from "./settings.js";
+
+// Format marker for exported plan files
+const PLAN_FILE_FORMAT = "bible-nav-plan";
+const PLAN_FILE_VERSION = 1;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} PlanDefinition
+ * @property {string} id - Unique identifier
+ * @property {string} name - Display name
+ * @property {Array<string>} books - Book names in reading order
+ * @property {number} days - Number of days the plan runs
+ */
+
+/**
+ * Get all book names in the given categories (filtered by category name and/or testament)
+ * @param {Function} predicate - Filter applied to each category
+ * @returns {Array<string>} Book names in canonical order
+ */
+function booksWhere(predicate) {
+  return categories.filter(predicate).flatMap((category) => category.books);
+}
+
+/**
+ * Plans that ship with the app
+ * @type {Array<PlanDefinition>}
+ */
+export const BUILT_IN_PLANS = [
+  { id: "bible-in-a-year", name: "Bible in a year", books: booksWhere(() => true), days: 365 },
+  {
+    id: "nt-in-90-days",
+    name: "New Testament in 90 days",
+    books: booksWhere((category) => category.testament === "New Testament"),
+    days: 90,
+  },
+  {
+    id: "gospels-in-a-month",
+    name: "Gospels in a month",
+    books: booksWhere((category) => category.name === "Gospels"),
+    days: 30,
+  },
+];
+
+/**
+ * Schema history:
+ *   v1 - { customPlans: Array<PlanDefinition>, active: { planId, startDate, completed } | null }
+ *        (completed maps "Book|chapter" to the local date it was completed)
+ */
+const planStore = createStore("reading-plans", {
+  version: 1,
+  defaults: () => ({ customPlans: [], active: null }),
+});
+
+let planState = planStore.load();
+
+// Today's plan chapters held in the chapter cache ({ book, chapter, translation })
+let pinnedChapters = [];
+
+/**
+ * Save plan state and notify listeners
+ */
+function persist() {
+  planStore.save(planState);
+  eventBus.emit(Events.PLAN_CHANGED, getPlanProgress());
+}
+
+/**
+ * Format a date as a local YYYY-MM-DD string
+ * @param {Date} [date] - Date to format (default: now)
+ * @returns {string} Local date string
+ */
+export function toDateString(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Count whole days between two local YYYY-MM-DD dates
+ * @param {string} from - Start date
+ * @param {string} to - End date
+ * @returns {number} Days from start to end
+ */
+function daysBetween(from, to) {
+  const [fromYear, fromMonth, fromDay] = from.split("-").map(Number);
+  const [toYear, toMonth, toDay] = to.split("-").map(Number);
+  // Use UTC so daylight saving changes don't produce fractional days
+  const difference = Date.UTC(toYear, toMonth - 1, toDay) - Date.UTC(fromYear, fromMonth - 1, fromDay);
+  return Math.round(difference / MS_PER_DAY);
+}
+
+/**
+ * Build the key used to record a completed chapter
+ * @param {string} book - Book name
+ * @param {number} chapter - Chapter number
+ * @returns {string} Chapter key
+ */
+function getChapterKey(book, chapter) {
+  return `${book}|${chapter}`;
+}
+
+/**
+ * Spread a plan's chapters evenly over its days
+ * @param {PlanDefinition} plan - Plan definition
+ * @returns {Array<Array<{book: string, chapter: number}>>} Chapters to read on each day
+ */
+export function buildSchedule(plan) {
+  const chapters = plan.books.flatMap((book) =>
+    Array.from({ length: chapterCounts[book] }, (_, index) => ({ book, chapter: index + 1 }))
+  );
+
+  return Array.from({ length: plan.days }, (_, day) => {
+    const start = Math.floor((day * chapters.length) / plan.days);
+    const end = Math.floor(((day + 1) * chapters.length) / plan.days);
+    return chapters.slice(start, end);
+  });
+}
+
+/**
+ * Check a plan definition and return a list of problems
+ * @param {Object} plan - Candidate plan definition
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+export function validatePlan(plan) {
+  const errors = [];
+
+  if (!plan || typeof plan !== "object") {
+    return ["Plan must be an object"];
+  }
+  if (typeof plan.name !== "string" || !plan.name.trim()) {
+    errors.push("Plan needs a name");
+  }
+  if (!Array.isArray(plan.books) || plan.books.length === 0) {
+    errors.push("Plan needs at least one book");
+  } else {
+    const unknown = plan.books.filter((book) => !chapterCounts[book]);
+    if (unknown.length > 0) {
+      errors.push(`Unknown books: ${unknown.join(", ")}`);
+    }
+  }
+
+  if (!Number.isInteger(plan.days) || plan.days < 1) {
+    errors.push("Plan length must be a whole number of days");
+  } else if (errors.length === 0) {
+    const totalChapters = plan.books.reduce((sum, book) => sum + chapterCounts[book], 0);
+    if (plan.days > totalChapters) {
+      errors.push(`Plan has ${totalChapters} chapters, so it can't run longer than ${totalChapters} days`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Get every available plan (built-in first, then custom)
+ * @returns {Array<PlanDefinition>} Plan definitions
+ */
+export function getPlans() {
+  return [...BUILT_IN_PLANS, ...planState.customPlans];
+}
+
+/**
+ * Find a plan by id
+ * @param {string} id - Plan id
+ * @returns {PlanDefinition|undefined} Plan definition
+ */
+export function getPlan(id) {
+  return getPlans().find((plan) => plan.id === id);
+}
+
+/**
+ * Add a custom plan
+ * @param {Object} definition - Plan definition without an id ({ name, books, days })
+ * @returns {PlanDefinition} The saved plan
+ * @throws {Error} If the definition is invalid
+ */
+export function addCustomPlan({ name, books, days }) {
+  const errors = validatePlan({ name, books, days });
+  if (errors.length > 0) {
+    throw new Error(errors.join(". "));
+  }
+
+  const plan = { id: `custom-${Date.now().toString(36)}`, name: name.trim(), books: [...books], days };
+  planState = { ...planState, customPlans: [...planState.customPlans, plan] };
+  persist();
+  return plan;
+}
+
+/**
+ * Delete a custom plan (stopping it if active)
+ * @param {string} id - Plan id
+ */
+export function removeCustomPlan(id) {
+  planState = {
+    customPlans: planState.customPlans.filter((plan) => plan.id !== id),
+    active: planState.active?.planId === id ? null : planState.active,
+  };
+  persist();
+}
+
+/**
+ * Start a plan today, replacing any active plan
+ * @param {string} id - Plan id
+ */
+export function startPlan(id) {
+  if (!getPlan(id)) {
+    throw new Error(`Unknown plan: ${id}`);
+  }
+  planState = { ...planState, active: { planId: id, startDate: toDateString(), completed: {} } };
+  persist();
+}
+
+/**
+ * Stop the active plan and discard its progress
+ */
+export function stopPlan() {
+  planState = { ...planState, active: null };
+  persist();
+}
+
+/**
+ * Mark a chapter of the active plan complete or incomplete
+ * Chapters that aren't part of the active plan are ignored
+ * @param {string} book - Book name
+ * @param {number} chapter - Chapter number
+ * @param {boolean} [complete=true] - Whether the chapter is complete
+ */
+export function setChapterComplete(book, chapter, complete = true) {
+  const active = planState.active;
+  const plan = active && getPlan(active.planId);
+  if (!plan || !plan.books.includes(book)) return;
+
+  const key = getChapterKey(book, chapter);
+  if (Boolean(active.completed[key]) === complete) return;
+
+  const completed = { ...active.completed };
+  if (complete) {
+    completed[key] = toDateString();
+  } else {
+    delete completed[key];
+  }
+  planState = { ...planState, active: { ...active, completed } };
+  persist();
+}
+
+/**
+ * Count consecutive days, ending today (or yesterday), on which plan chapters were completed
+ * @param {Object<string, string>} completed - Map of chapter key to completion date
+ * @param {string} today - Today's date string
+ * @returns {number} Streak length in days
+ */
+function calculateStreak(completed, today) {
+  const readDays = new Set(Object.values(completed));
+  const cursor = new Date();
+  if (!readDays.has(today)) {
+    // Today isn't over yet - a streak through yesterday still counts
+    cursor.setDate(cursor.getDate() - 1);
+  }
+
+  let streak = 0;
+  while (readDays.has(toDateString(cursor))) {
+    streak++;
+    cursor.setDate(cursor.getDate() - 1);
+  }
+  return streak;
+}
+
+/**
+ * @typedef {Object} PlanProgress
+ * @property {PlanDefinition} plan - Active plan
+ * @property {number} dayNumber - Today's day in the plan (1-based, capped at plan length)
+ * @property {Array<{book: string, chapter: number, complete: boolean}>} today - Today's assignment
+ * @property {number} completedChapters - Chapters completed so far
+ * @property {number} totalChapters - Chapters in the plan
+ * @property {number} streak - Consecutive days with plan reading
+ * @property {number} daysBehind - Scheduled days before today that aren't finished
+ * @property {boolean} finished - True once every chapter is complete
+ */
+
+/**
+ * Summarize progress through the active plan
+ * @returns {PlanProgress|null} Progress, or null if no plan is active
+ */
+export function getPlanProgress() {
+  const active = planState.active;
+  const plan = active && getPlan(active.planId);
+  if (!plan) {
+    return null;
+  }
+
+  const schedule = buildSchedule(plan);
+  const today = toDateString();
+  const dayIndex = Math.min(Math.max(daysBetween(active.startDate, today), 0), plan.days - 1);
+  const isComplete = ({ book, chapter }) => Boolean(active.completed[getChapterKey(book, chapter)]);
+
+  const firstUnfinishedDay = schedule.findIndex((day) => !day.every(isComplete));
+  const totalChapters = schedule.reduce((sum, day) => sum + day.length, 0);
+  const completedChapters = schedule.flat().filter(isComplete).length;
+
+  return {
+    plan,
+    dayNumber: dayIndex + 1,
+    today: schedule[dayIndex].map((item) => ({ ...item, complete: isComplete(item) })),
+    completedChapters,
+    totalChapters,
+    streak: calculateStreak(active.completed, today),
+    daysBehind: firstUnfinishedDay === -1 ? 0 : Math.max(dayIndex - firstUnfinishedDay, 0),
+    finished: firstUnfinishedDay === -1,
+  };
+}
+
+/**
+ * Serialize a plan definition for sharing
+ * @param {string} id - Plan id
+ * @returns {string} JSON text
+ */
+export function exportPlan(id) {
+  const plan = getPlan(id);
+  if (!plan) {
+    throw new Error(`Unknown plan: ${id}`);
+  }
+
+  const file = {
+    format: PLAN_FILE_FORMAT,
+    version: PLAN_FILE_VERSION,
+    plan: { name: plan.name, books: plan.books, days: plan.days },
+  };
+  return JSON.stringify(file, null, 2);
+}
+
+/**
+ * Import a plan definition exported by exportPlan
+ * @param {string} json - JSON text
+ * @returns {PlanDefinition} The imported (custom) plan
+ * @throws {Error} If the JSON isn't a valid plan file
+ */
+export function importPlan(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    throw new Error("Plan file is not valid JSON");
+  }
+
+  if (data?.format !== PLAN_FILE_FORMAT) {
+    throw new Error("Not a reading plan file");
+  }
+  if (data.version > PLAN_FILE_VERSION) {
+    throw new Error("Plan file was made by a newer version of the app");
+  }
+
+  return addCustomPlan(data.plan ?? {});
+}
+
+/**
+ * Keep today's plan chapters in the chapter cache so they open instantly, releasing the previous ones
+ */
+function pinTodaysChapters() {
+  pinnedChapters.forEach(({ book, chapter, translation }) => unpinChapter(book, chapter, translation));
+
+  const translation = getTranslation();
+  pinnedChapters = (getPlanProgress()?.today ?? []).map(({ book, chapter }) => ({ book, chapter, translation }));
+  pinnedChapters.forEach(({ book, chapter }) => pinChapter(book, chapter, translation));
+}
+
+/**
+ * Tick off plan chapters as the user reads them, and keep today's chapters cached
+ */
+export function initReadingPlans() {
+  eventBus.on(Events.CHAPTER_READ, ({ book, chapter }) => setChapterComplete(book, chapter));
+
+  pinTodaysChapters();
+  eventBus.on(Events.PLAN_CHANGED, pinTodaysChapters);
+  eventBus.on(Events.SETTINGS_CHANGED, ({ key }) => {
+    if (key === "translation") {
+      pinTodaysChapters();
+    }
+  });
+}
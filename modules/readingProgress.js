@@ -0,0 +1,159 @@
+/**
+ * Reading progress - which chapters the user has read
+ * A chapter counts as read once it has stayed open in reading mode past a threshold,
+ * or when the user marks it manually
+ */
+
+import { chapterCounts, categories } from "/data.js";
+import { MODES } from "./constants.js";
+import { createStore } from "./storage.js";
+import { eventBus, Events } from "./eventBus.js";
+import { getCurrentMode } from "./navigationState.js";
+
+// How long a chapter must stay open in reading mode to count as read
+const READ_THRESHOLD = 60 * 1000;
+
+/**
+ * Schema history:
+ *   v1 - { [book]: { [chapter]: ISO date read } }
+ */
+const progressStore = createStore("reading-progress", {
+  version: 1,
+  defaults: () => ({}),
+});
+
+let progress = progressStore.load();
+let readTimeout = null;
+
+/**
+ * Save progress and notify listeners
+ */
+function persist() {
+  progressStore.save(progress);
+  eventBus.emit(Events.READ_PROGRESS_CHANGED);
+}
+
+/**
+ * Check whether a chapter has been read
+ * @param {string} book - Book name
+ * @param {number} chapter - Chapter number
+ * @returns {boolean} True if read
+ */
+export function isChapterRead(book, chapter) {
+  return Boolean(progress[book]?.[chapter]);
+}
+
+/**
+ * Count read chapters in a book
+ * @param {string} book - Book name
+ * @returns {{read: number, total: number}} Read and total chapter counts
+ */
+export function getBookProgress(book) {
+  return { read: Object.keys(progress[book] ?? {}).length, total: chapterCounts[book] };
+}
+
+/**
+ * Count read chapters across a testament
+ * @param {string} testament - "Old Testament" or "New Testament"
+ * @returns {{read: number, total: number}} Read and total chapter counts
+ */
+export function getTestamentProgress(testament) {
+  return getTestamentBooks(testament)
+    .map(getBookProgress)
+    .reduce((sum, book) => ({ read: sum.read + book.read, total: sum.total + book.total }), { read: 0, total: 0 });
+}
+
+/**
+ * Get the books in a testament
+ * @param {string} testament - "Old Testament" or "New Testament"
+ * @returns {Array<string>} Book names in canonical order
+ */
+export function getTestamentBooks(testament) {
+  return categories.filter((category) => category.testament === testament).flatMap((category) => category.books);
+}
+
+/**
+ * Mark a chapter read or unread
+ * @param {string} book - Book name
+ * @param {number} chapter - Chapter number
+ * @param {boolean} [read=true] - Whether the chapter is read
+ */
+export function setChapterRead(book, chapter, read = true) {
+  if (isChapterRead(book, chapter) === read) return;
+
+  const chapters = { ...progress[book] };
+  if (read) {
+    chapters[chapter] = new Date().toISOString();
+  } else {
+    delete chapters[chapter];
+  }
+
+  progress = { ...progress, [book]: chapters };
+  if (Object.keys(chapters).length === 0) {
+    delete progress[book];
+  }
+  persist();
+
+  if (read) {
+    eventBus.emit(Events.CHAPTER_READ, { book, chapter });
+  }
+}
+
+/**
+ * Toggle whether a chapter is read
+ * @param {string} book - Book name
+ * @param {number} chapter - Chapter number
+ */
+export function toggleChapterRead(book, chapter) {
+  setChapterRead(book, chapter, !isChapterRead(book, chapter));
+}
+
+/**
+ * Forget reading progress for a book
+ * @param {string} book - Book name
+ */
+export function resetBookProgress(book) {
+  progress = { ...progress };
+  delete progress[book];
+  persist();
+}
+
+/**
+ * Forget reading progress for every book in a testament
+ * @param {string} testament - "Old Testament" or "New Testament"
+ */
+export function resetTestamentProgress(testament) {
+  progress = { ...progress };
+  getTestamentBooks(testament).forEach((book) => delete progress[book]);
+  persist();
+}
+
+/**
+ * Stop waiting to mark the open chapter as read
+ */
+function cancelReadTimer() {
+  clearTimeout(readTimeout);
+  readTimeout = null;
+}
+
+/**
+ * Start marking chapters read when they stay open in reading mode
+ */
+export function initReadingProgress() {
+  eventBus.on(Events.DISPLAY_READING, ({ book, chapter }) => {
+    cancelReadTimer();
+    if (isChapterRead(book, chapter)) return;
+
+    readTimeout = setTimeout(() => {
+      readTimeout = null;
+      if (getCurrentMode() === MODES.READING) {
+        setChapterRead(book, chapter);
+      }
+    }, READ_THRESHOLD);
+  });
+
+  // Leaving the chapter before the threshold doesn't count
+  eventBus.on(Events.MODE_CHANGED, cancelReadTimer);
+  eventBus.on(Events.BOOK_CHANGED, cancelReadTimer);
+  eventBus.on(Events.CHAPTER_CHANGED, cancelReadTimer);
+}
@@ -0,0 +1,312 @@
+/**
+ * Scripture reference parser
+ * Turns text like "Jn 3:16", "1 Cor 13:4-7", "First John 2", "Ps 23-24" or "Rom 8:28, 38-39; Eph 2:8"
+ * into validated references using the book names and chapter counts in data.js
+ */
+
+import { chapterCounts, bookAbbreviations } from "/data.js";
+import { formatReference } from "./bookDataUtils.js";
+
+/**
+ * @typedef {Object} ParsedReference
+ * @property {string} book - Book name as used in data.js
+ * @property {number} chapter - First chapter
+ * @property {number|null} verseStart - First verse, or null for a whole chapter
+ * @property {number} endChapter - Last chapter (same as chapter unless the range spans chapters)
+ * @property {number|null} verseEnd - Last verse, or null for a whole chapter
+ */
+
+// Spelled-out and Roman numeral forms of the numbered-book prefix
+const ORDINALS = {
+  1: "1",
+  2: "2",
+  3: "3",
+  "1st": "1",
+  "2nd": "2",
+  "3rd": "3",
+  i: "1",
+  ii: "2",
+  iii: "3",
+  first: "1",
+  second: "2",
+  third: "3",
+};
+
+// Common abbreviations (beyond plain prefixes of the name) mapped to the name without its number
+const COMMON_ABBREVIATIONS = {
+  gn: "genesis",
+  ex: "exodus",
+  lv: "leviticus",
+  nm: "numbers",
+  dt: "deuteronomy",
+  jdgs: "judges",
+  rth: "ruth",
+  sam: "samuel",
+  kgs: "kings",
+  chr: "chronicles",
+  jb: "job",
+  ps: "psalms",
+  psalm: "psalms",
+  pss: "psalms",
+  prv: "proverbs",
+  eccl: "ecclesiastes",
+  qoh: "ecclesiastes",
+  song: "song of solomon",
+  sos: "song of solomon",
+  "song of songs": "song of solomon",
+  canticles: "song of solomon",
+  jl: "joel",
+  jnh: "jonah",
+  mi: "micah",
+  na: "nahum",
+  hb: "habakkuk",
+  zep: "zephaniah",
+  hg: "haggai",
+  zec: "zechariah",
+  ml: "malachi",
+  mt: "matthew",
+  mk: "mark",
+  mr: "mark",
+  lk: "luke",
+  jn: "john",
+  rm: "romans",
+  cor: "corinthians",
+  phil: "philippians",
+  th: "thessalonians",
+  thess: "thessalonians",
+  tm: "timothy",
+  tim: "timothy",
+  phlm: "philemon",
+  philem: "philemon",
+  pt: "peter",
+  pet: "peter",
+  jas: "james",
+  jd: "jude",
+  rv: "revelation",
+  revelations: "revelation",
+};
+
+// Lowercase book name -> book name
+const BOOK_NAMES = new Map(Object.keys(chapterCounts).map((book) => [book.toLowerCase(), book]));
+
+// Lowercase book name (without its number) -> name, from the API abbreviations (e.g. "jhn" -> "john")
+const API_ABBREVIATIONS = Object.fromEntries(
+  Object.entries(bookAbbreviations).map(([book, abbreviation]) => [
+    abbreviation.replace(/^\d/, "").toLowerCase(),
+    book.replace(/^\d\s+/, "").toLowerCase(),
+  ])
+);
+
+/**
+ * Find the book named by the text before the chapter number
+ * @param {string} text - Book name, abbreviation or ordinal form (e.g. "1 Cor", "First John", "I Jn")
+ * @param {Object} [options]
+ * @param {boolean} [options.prefixes=true] - Also accept unambiguous prefixes of a book name ("Gen", "Matt")
+ * @returns {string} Book name as used in data.js
+ * @throws {Error} If no book, or more than one book, matches
+ */
+export function parseBookName(text, { prefixes = true } = {}) {
+  const words = text.toLowerCase().replace(/\./g, "").trim().split(/\s+/);
+
+  // "1 John", "I John", "First John" - also "1John" with no space
+  let number = null;
+  if (ORDINALS[words[0]] && words.length > 1) {
+    number = ORDINALS[words.shift()];
+  } else if (/^[1-3][a-z]/.test(words[0])) {
+    number = words[0][0];
+    words[0] = words[0].slice(1);
+  }
+
+  let name = words.join(" ");
+  name = COMMON_ABBREVIATIONS[name] ?? API_ABBREVIATIONS[name] ?? name;
+  const fullName = number ? `${number} ${name}` : name;
+
+  if (BOOK_NAMES.has(fullName)) {
+    return BOOK_NAMES.get(fullName);
+  }
+  if (!prefixes) {
+    throw new Error(`Unknown book "${text.trim()}"`);
+  }
+
+  // Otherwise accept any unambiguous prefix ("Gen", "Matt", "1 Thes")
+  const matches = [...BOOK_NAMES.keys()].filter((book) => book.startsWith(fullName));
+  if (matches.length === 1) {
+    return BOOK_NAMES.get(matches[0]);
+  }
+  if (matches.length > 1) {
+    const options = matches.map((book) => BOOK_NAMES.get(book)).join(", ");
+    throw new Error(`"${text.trim()}" could mean ${options}`);
+  }
+  throw new Error(`Unknown book "${text.trim()}"`);
+}
+
+/**
+ * Check a reference against the book's chapter count and verse order
+ * @param {ParsedReference} reference - Reference to check
+ * @param {string} text - Original text (for error messages)
+ * @returns {ParsedReference} The same reference
+ * @throws {Error} If the reference doesn't exist
+ */
+function validateReference(reference, text) {
+  const { book, chapter, endChapter, verseStart, verseEnd } = reference;
+  const chapters = chapterCounts[book];
+
+  if (chapter < 1 || endChapter > chapters) {
+    throw new Error(`${book} has ${chapters} ${chapters === 1 ? "chapter" : "chapters"}`);
+  }
+  if (endChapter < chapter || (endChapter === chapter && verseStart !== null && verseEnd < verseStart)) {
+    throw new Error(`"${text}" ends before it starts`);
+  }
+  if (verseStart === 0 || verseEnd === 0) {
+    throw new Error(`"${text}" refers to verse 0`);
+  }
+  return reference;
+}
+
+/**
+ * Parse the chapter/verse part of a reference
+ * @param {string} book - Book name
+ * @param {string} location - Text after the book name (e.g. "3:16", "13:4-7", "23", "3:16-4:2")
+ * @param {number|null} contextChapter - Chapter of the previous reference in a list, for bare verse numbers
+ * @returns {ParsedReference} Reference
+ * @throws {Error} If the text isn't a chapter/verse reference
+ */
+function parseLocation(book, location, contextChapter) {
+  const text = location.replace(/\s+/g, "").replace(/[–—]/g, "-");
+  const match = text.match(/^(\d+)(?::(\d+))?(?:-(\d+)(?::(\d+))?)?$/);
+  if (!match) {
+    throw new Error(`Can't read "${location.trim()}" as a chapter or verse`);
+  }
+
+  const [first, second, third, fourth] = match.slice(1).map((part) => (part === undefined ? null : Number(part)));
+  const singleChapter = chapterCounts[book] === 1;
+
+  let reference;
+  if (second !== null) {
+    // 3:16, 3:16-18, 3:16-4:2
+    reference = {
+      book,
+      chapter: first,
+      verseStart: second,
+      endChapter: fourth !== null ? third : first,
+      verseEnd: fourth ?? third ?? second,
+    };
+  } else if (contextChapter !== null || singleChapter) {
+    // A bare number after a verse in a list ("Rom 8:28, 38-39"), or in a one-chapter book ("Jude 3")
+    const chapter = contextChapter ?? 1;
+    if (fourth !== null) {
+      reference = { book, chapter, verseStart: first, endChapter: third, verseEnd: fourth };
+    } else {
+      reference = { book, chapter, verseStart: first, endChapter: chapter, verseEnd: third ?? first };
+    }
+  } else {
+    // 23, 23-24, 23-24:5
+    reference = {
+      book,
+      chapter: first,
+      verseStart: fourth !== null ? 1 : null,
+      endChapter: third ?? first,
+      verseEnd: fourth,
+    };
+  }
+
+  return validateReference(reference, `${book} ${location.trim()}`);
+}
+
+/**
+ * Parse one or more references separated by commas or semicolons
+ * Later items may leave out the book ("Jn 3:16, 4:1") or the chapter ("Rom 8:28, 38-39")
+ * @param {string} text - Reference text
+ * @param {Object} [options]
+ * @param {boolean} [options.prefixes=true] - Also accept unambiguous prefixes of book names (see parseBookName)
+ * @returns {Array<ParsedReference>} References in the order given
+ * @throws {Error} If any part can't be parsed or doesn't exist
+ *
+ * @example
+ * parseReferences("1 Cor 13:4-7");
+ * // [{ book: "1 Corinthians", chapter: 13, verseStart: 4, endChapter: 13, verseEnd: 7 }]
+ */
+export function parseReferences(text, { prefixes = true } = {}) {
+  const parts = text
+    .split(/[,;]/)
+    .map((part) => part.trim())
+    .filter(Boolean);
+  if (parts.length === 0) {
+    throw new Error("Enter a reference, e.g. John 3:16");
+  }
+
+  const references = [];
+  let previous = null;
+
+  parts.forEach((part) => {
+    // Book name is everything before the first number that isn't part of the name ("1 John 3" -> "1 John")
+    const match = part.match(/^((?:[1-3]\s*)?[a-z][^\d]*?)\s*(\d.*)?$/i);
+
+    if (match) {
+      const book = parseBookName(match[1], { prefixes });
+      const reference = match[2]
+        ? parseLocation(book, match[2], null)
+        : { book, chapter: 1, verseStart: null, endChapter: 1, verseEnd: null };
+      references.push(reference);
+      previous = reference;
+      return;
+    }
+
+    if (!previous) {
+      throw new Error(`"${part}" needs a book name`);
+    }
+
+    // After a verse, a bare number is another verse in the same chapter; otherwise it's a chapter
+    const contextChapter = previous.verseStart !== null && !part.includes(":") ? previous.endChapter : null;
+    const reference = parseLocation(previous.book, part, contextChapter);
+    references.push(reference);
+    previous = reference;
+  });
+
+  return references;
+}
+
+/**
+ * Format a parsed reference for display ("John 3:16–18", "Psalms 23–24", "John 3:16–4:2")
+ * @param {ParsedReference} reference - Parsed reference
+ * @returns {string} Reference text
+ */
+export function describeReference({ book, chapter, verseStart, endChapter, verseEnd }) {
+  if (endChapter === chapter) {
+    return formatReference(book, chapter, verseStart, verseEnd);
+  }
+  if (verseStart === null) {
+    return `${book} ${chapter}–${endChapter}`;
+  }
+  return `${formatReference(book, chapter, verseStart)}–${endChapter}:${verseEnd}`;
+}
+
+// A book name (optionally numbered) followed by a chapter and optional verse or range, inside running text
+const REFERENCE_IN_TEXT_PATTERN =
+  /\b(?:(?:[1-3]|I{1,3}|First|Second|Third)\s*)?[A-Z][a-z]+\.?(?:\s+of\s+[A-Z][a-z]+)?\s+\d+(?::\d+)?(?:\s*[-–]\s*\d+(?::\d+)?)?/g;
+
+/**
+ * Find scripture references inside running text (e.g. footnotes like "See Isaiah 7:14")
+ * Candidates that aren't real references ("Verse 3", "Genesis 51") are skipped, and book names must be
+ * written out or abbreviated in full - a word that merely starts a book name ("Hebrew 3") isn't one
+ * @param {string} text - Text to search
+ * @returns {Array<{index: number, text: string, reference: ParsedReference}>} Matches in order
+ */
+export function findReferences(text) {
+  const matches = [];
+  const pattern = new RegExp(REFERENCE_IN_TEXT_PATTERN.source, "g");
+
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    try {
+      const [reference] = parseReferences(match[0], { prefixes: false });
+      matches.push({ index: match.index, text: match[0], reference });
+    } catch {
+      // Not a reference - but a word before a numbered book ("See 1 John 2:2") swallows the book's number,
+      // so look again from the word after the failed candidate's first one
+      pattern.lastIndex = match.index + match[0].match(/^\S+/)[0].length;
+    }
+  }
+
+  return matches;
+}
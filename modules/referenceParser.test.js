@@ -0,0 +1,59 @@
+import { describe, expect, it } from "vitest";
+import { findReferences, parseReferences } from "./referenceParser.js";
+
+/**
+ * Summarize found references as "text -> Book chapter:verse" for compact assertions
+ * @param {string} text - Text to search
+ * @returns {Array<string>} One entry per reference found
+ */
+function found(text) {
+  return findReferences(text).map(
+    ({ text: match, reference }) =>
+      `${match} -> ${reference.book} ${reference.chapter}${reference.verseStart ? `:${reference.verseStart}` : ""}`
+  );
+}
+
+describe("parseReferences", () => {
+  it("parses abbreviations, numbered books and ranges", () => {
+    expect(parseReferences("1 Cor 13:4-7")).toEqual([
+      expect.objectContaining({ book: "1 Corinthians", chapter: 13, verseStart: 4, verseEnd: 7 }),
+    ]);
+  });
+
+  it("rejects chapters the book doesn't have", () => {
+    expect(() => parseReferences("Ps 151")).toThrow();
+  });
+
+  it("accepts any unambiguous start of a book name", () => {
+    expect(parseReferences("Hebrew 3")[0].book).toBe("Hebrews");
+  });
+});
+
+describe("findReferences", () => {
+  it("finds references in running text", () => {
+    expect(found("See Isaiah 7:14 and Jn 1:1.")).toEqual(["Isaiah 7:14 -> Isaiah 7:14", "Jn 1:1 -> John 1:1"]);
+  });
+
+  it("keeps the number of a numbered book after a capitalized word", () => {
+    expect(found("See 1 John 2:2")).toEqual(["1 John 2:2 -> 1 John 2:2"]);
+    expect(found("Or 1 Cor 13:4")).toEqual(["1 Cor 13:4 -> 1 Corinthians 13:4"]);
+  });
+
+  it("finds numbered books after abbreviations and lowercase words", () => {
+    expect(found("cf. 2 Tim 3:16")).toEqual(["2 Tim 3:16 -> 2 Timothy 3:16"]);
+    expect(found("and II Kings 2")).toEqual(["II Kings 2 -> 2 Kings 2"]);
+  });
+
+  it("reports where each reference starts", () => {
+    expect(findReferences("See 1 John 2:2")[0].index).toBe(4);
+  });
+
+  it("ignores numbers that aren't references", () => {
+    expect(findReferences("Chapter 3 of Genesis 51")).toEqual([]);
+  });
+
+  it("doesn't take words that only start a book name for books", () => {
+    expect(findReferences("Or Hebrew 3 means")).toEqual([]);
+    expect(found("Or Heb 3:1")).toEqual(["Heb 3:1 -> Hebrews 3:1"]);
+  });
+});
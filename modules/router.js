@@ -0,0 +1,281 @@
+/**
+ * Hash router that mirrors navigation state in the URL
+ * Mode changes push history entries, so browser back/forward behave like double-tap,
+ * while moving between books, chapters or verses within a mode only replaces the entry
+ *
+ * URL formats:
+ *   #/john                  -> books mode with John selected
+ *   #/john/3?view=chapters  -> chapter selection at John 3
+ *   #/john/3                -> reading John 3
+ *   #/john/3/16             -> reading John 3, scrolled to verse 16
+ *   #/john/3/16?view=verses -> verse-by-verse view at John 3:16
+ *   #/bookmarks             -> bookmarks browser
+ *   #/search                -> full-text search
+ */
+
+import { chapterCounts } from "/data.js";
+import { MODES } from "./constants.js";
+import { getBookSlug, findBookIndexBySlug } from "./bookDataUtils.js";
+import { eventBus, Events } from "./eventBus.js";
+import { getCurrentMode, getCurrentBookIndex, getCurrentChapter, getCurrentVerse } from "./navigationState.js";
+
+// Modes that aren't tied to a book, mapped to their fixed URL path
+const VIEW_PATHS = {
+  [MODES.BOOKMARKS]: "bookmarks",
+  [MODES.SEARCH]: "search",
+};
+
+let routerConfig = null;
+
+// True while a route is being applied, so the resulting state events don't write history
+let applyingRoute = false;
+
+// Hashes of the history entries this router created, indexed by history.state.index
+let entries = [];
+let currentIndex = 0;
+
+// Set while waiting for the popstate caused by our own history.back()
+let pendingBack = false;
+let deferredHash = null;
+
+/**
+ * Build the URL hash for a location
+ * @param {Object} route - Location to encode
+ * @param {string} route.mode - One of MODES
+ * @param {number} route.bookIndex - Index into allBooks
+ * @param {number} route.chapter - Chapter number
+ * @param {number|null} route.verse - Verse number, if any
+ * @param {Array} allBooks - Array of all book data
+ * @returns {string} Hash including the leading "#"
+ */
+export function buildHash({ mode, bookIndex, chapter, verse }, allBooks) {
+  if (VIEW_PATHS[mode]) {
+    return `#/${VIEW_PATHS[mode]}`;
+  }
+
+  const slug = getBookSlug(allBooks[bookIndex].book);
+
+  if (mode === MODES.BOOKS) {
+    return `#/${slug}`;
+  }
+  if (mode === MODES.CHAPTERS) {
+    return `#/${slug}/${chapter}?view=chapters`;
+  }
+  if (mode === MODES.VERSES) {
+    return `#/${slug}/${chapter}/${verse ?? 1}?view=verses`;
+  }
+  return verse ? `#/${slug}/${chapter}/${verse}` : `#/${slug}/${chapter}`;
+}
+
+/**
+ * Parse a URL hash into a location
+ * @param {string} hash - Hash such as "#/john/3/16"
+ * @param {Array} allBooks - Array of all book data
+ * @returns {Object|null} Route ({ mode, bookIndex, chapter, verse }, or just { mode } for views like bookmarks),
+ *   or null if the hash is not a valid location
+ */
+export function parseHash(hash, allBooks) {
+  const [path, query = ""] = hash.replace(/^#\/?/, "").split("?");
+  const segments = path.split("/").filter(Boolean).map(decodeURIComponent);
+
+  if (segments.length === 0 || segments.length > 3) {
+    return null;
+  }
+
+  const viewMode = Object.keys(VIEW_PATHS).find((mode) => VIEW_PATHS[mode] === segments[0]);
+  if (viewMode) {
+    return segments.length === 1 ? { mode: viewMode } : null;
+  }
+
+  const bookIndex = findBookIndexBySlug(allBooks, segments[0]);
+  if (bookIndex === -1) {
+    return null;
+  }
+
+  if (segments.length === 1) {
+    return { mode: MODES.BOOKS, bookIndex, chapter: 1, verse: null };
+  }
+
+  const chapter = parsePositiveInteger(segments[1]);
+  if (!chapter || chapter > chapterCounts[allBooks[bookIndex].book]) {
+    return null;
+  }
+
+  const verse = segments.length === 3 ? parsePositiveInteger(segments[2]) : null;
+  if (segments.length === 3 && !verse) {
+    return null;
+  }
+
+  const view = new URLSearchParams(query).get("view");
+  if (view === MODES.CHAPTERS) {
+    return { mode: MODES.CHAPTERS, bookIndex, chapter, verse: null };
+  }
+  if (view === MODES.VERSES) {
+    return { mode: MODES.VERSES, bookIndex, chapter, verse: verse ?? 1 };
+  }
+  return { mode: MODES.READING, bookIndex, chapter, verse };
+}
+
+/**
+ * Parse a strictly positive integer from a URL segment
+ * @param {string} value - URL segment
+ * @returns {number|null} Parsed number, or null if invalid
+ */
+function parsePositiveInteger(value) {
+  return /^\d+$/.test(value) && Number(value) > 0 ? Number(value) : null;
+}
+
+/**
+ * Snapshot the current navigation state as a route
+ * @returns {Object} Route for the current view
+ */
+function getCurrentRoute() {
+  return {
+    mode: getCurrentMode(),
+    bookIndex: getCurrentBookIndex(),
+    chapter: getCurrentChapter(),
+    verse: getCurrentVerse(),
+  };
+}
+
+/**
+ * Apply a route without recording the resulting state changes in history
+ * @param {Object} route - Route to show
+ */
+function applyRoute(route) {
+  applyingRoute = true;
+  try {
+    routerConfig.applyRouteCallback(route);
+  } finally {
+    applyingRoute = false;
+  }
+}
+
+/**
+ * Add a history entry, or step back if the new location is the previous entry
+ * (e.g., double-tapping out of reading mode returns to the chapter view we came from)
+ * @param {string} hash - Hash to push
+ */
+function pushRoute(hash) {
+  if (hash === location.hash) {
+    return;
+  }
+
+  if (currentIndex > 0 && entries[currentIndex - 1] === hash) {
+    currentIndex--;
+    pendingBack = true;
+    history.back();
+    return;
+  }
+
+  currentIndex++;
+  entries = entries.slice(0, currentIndex);
+  entries.push(hash);
+  history.pushState({ index: currentIndex }, "", hash);
+}
+
+/**
+ * Rewrite the current history entry
+ * @param {string} hash - Hash to store
+ */
+function replaceRoute(hash) {
+  if (pendingBack) {
+    // history.back() is asynchronous - rewrite the entry once we have arrived
+    deferredHash = hash;
+    return;
+  }
+
+  entries[currentIndex] = hash;
+  history.replaceState({ index: currentIndex }, "", hash);
+}
+
+/**
+ * Navigate to a location and record it in browser history
+ * @param {Object} route - Route to show ({ mode, bookIndex, chapter, verse })
+ * @param {Object} [options] - Navigation options
+ * @param {boolean} [options.replace=false] - Replace the current history entry instead of pushing
+ */
+export function navigate(route, { replace = false } = {}) {
+  if (!routerConfig) {
+    throw new Error("Router not initialized. Call initRouter first.");
+  }
+
+  applyRoute(route);
+
+  const hash = buildHash(getCurrentRoute(), routerConfig.allBooks);
+  if (replace) {
+    replaceRoute(hash);
+  } else {
+    pushRoute(hash);
+  }
+}
+
+/**
+ * Handle browser back/forward
+ * @param {PopStateEvent} event - Popstate event
+ */
+function handlePopState(event) {
+  if (Number.isInteger(event.state?.index)) {
+    currentIndex = event.state.index;
+  } else {
+    // A hand-edited hash or an outside link adds an entry the router didn't create - number it after
+    // the one it was added from, dropping the forward entries the browser discarded
+    currentIndex++;
+    entries = entries.slice(0, currentIndex);
+    history.replaceState({ index: currentIndex }, "", location.hash);
+  }
+
+  if (pendingBack) {
+    pendingBack = false;
+    if (deferredHash) {
+      replaceRoute(deferredHash);
+      deferredHash = null;
+    }
+    return;
+  }
+
+  entries[currentIndex] = location.hash;
+
+  const route = parseHash(location.hash, routerConfig.allBooks);
+  if (route && location.hash !== buildHash(getCurrentRoute(), routerConfig.allBooks)) {
+    applyRoute(route);
+  }
+}
+
+/**
+ * Initialize the router and restore the view named in the URL, if any
+ * @param {Object} params - Configuration object
+ * @param {Array} params.allBooks - Array of all book data
+ * @param {Function} params.applyRouteCallback - Callback that shows a route ({ mode, bookIndex, chapter, verse })
+ * @returns {boolean} True if the initial view was restored from the URL
+ */
+export function initRouter({ allBooks, applyRouteCallback }) {
+  routerConfig = { allBooks, applyRouteCallback };
+
+  const initialRoute = parseHash(location.hash, allBooks);
+  if (initialRoute) {
+    applyRoute(initialRoute);
+  }
+
+  currentIndex = history.state?.index ?? 0;
+  replaceRoute(buildHash(getCurrentRoute(), allBooks));
+
+  const syncRoute = (push) => {
+    if (applyingRoute) return;
+    const hash = buildHash(getCurrentRoute(), allBooks);
+    if (push) {
+      pushRoute(hash);
+    } else {
+      replaceRoute(hash);
+    }
+  };
+
+  eventBus.on(Events.MODE_CHANGED, () => syncRoute(true));
+  eventBus.on(Events.BOOK_CHANGED, () => syncRoute(false));
+  eventBus.on(Events.CHAPTER_CHANGED, () => syncRoute(false));
+  eventBus.on(Events.VERSE_CHANGED, () => syncRoute(false));
+
+  window.addEventListener("popstate", handlePopState);
+
+  return initialRoute !== null;
+}
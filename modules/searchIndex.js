@@ -0,0 +1,319 @@
+/**
+ * Full-text search over chapters already on the device - the in-memory chapter cache and the offline store
+ * Each translation gets its own inverted index (word -> verses and word positions), built in small slices
+ * while the browser is idle so typing and scrolling stay smooth. Once a translation has been searched,
+ * chapters loaded or downloaded later are added to its index as they arrive.
+ */
+
+import { bookAbbreviations } from "/data.js";
+import { eventBus, Events } from "./eventBus.js";
+import { getCachedChapters } from "./bibleApiService.js";
+import { parseChapter, getVerses } from "./chapterModel.js";
+import { getOfflineChapter, getOfflineChapterKeys } from "./offlineStore.js";
+
+// Longest stretch of indexing work (ms) before yielding back to the browser
+const SLICE_DURATION = 8;
+
+// Ranking constants (BM25): term frequency saturation and verse length normalization
+const RANK_K1 = 1.2;
+const RANK_B = 0.75;
+
+// Book names by abbreviation, and their canonical position (for ordering equally ranked results)
+const bookNames = Object.fromEntries(Object.entries(bookAbbreviations).map(([name, id]) => [id, name]));
+const bookOrder = Object.fromEntries(Object.keys(bookAbbreviations).map((name, index) => [name, index]));
+
+// Indexes by translation id: { postings: Map<word, Map<verseKey, positions>>, verses: Map, chapters: Set, totalLength }
+const indexes = new Map();
+
+// Chapters waiting to be indexed: { translation, bookId, chapter, load }
+const queue = [];
+const queuedKeys = new Set();
+let indexing = false;
+
+/**
+ * Split text into normalized words, keeping where each one appears
+ * Case and accents are ignored, and apostrophes split words ("God's" -> "god", "s")
+ * @param {string} text - Text to split
+ * @returns {Array<{word: string, start: number, end: number}>} Words with their character offsets in the text
+ */
+function tokenize(text) {
+  return Array.from(text.matchAll(/[\p{L}\p{N}]+/gu), (match) => ({
+    word: match[0].normalize("NFD").replace(/\p{M}/gu, "").toLowerCase(),
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+}
+
+/**
+ * Split a query into single words and "quoted phrases"
+ * @param {string} query - Search query, e.g. `love "one another"`
+ * @returns {Array<Array<string>>} Clauses - each is a run of words that must appear together in a verse
+ */
+function parseQuery(query) {
+  const clauses = [];
+  const unquoted = query.replace(/"([^"]*)"?/g, (_, phrase) => {
+    const words = tokenize(phrase).map(({ word }) => word);
+    if (words.length > 0) clauses.push(words);
+    return " ";
+  });
+
+  tokenize(unquoted).forEach(({ word }) => clauses.push([word]));
+  return clauses;
+}
+
+/**
+ * Get the index of a translation, creating an empty one
+ * @param {string} translation - Translation id
+ * @returns {Object} Index
+ */
+function getIndex(translation) {
+  if (!indexes.has(translation)) {
+    indexes.set(translation, { postings: new Map(), verses: new Map(), chapters: new Set(), totalLength: 0 });
+  }
+  return indexes.get(translation);
+}
+
+/**
+ * Add the verses of a chapter to an index
+ * @param {Object} index - Translation index
+ * @param {string} bookId - Book abbreviation
+ * @param {number} chapter - Chapter number
+ * @param {Object} chapterData - Chapter data from the provider
+ */
+function addChapter(index, bookId, chapter, chapterData) {
+  const book = bookNames[bookId];
+  if (!book || index.chapters.has(`${bookId}:${chapter}`)) return;
+
+  index.chapters.add(`${bookId}:${chapter}`);
+  getVerses(parseChapter(chapterData)).forEach(({ number, text }) => {
+    const verseKey = `${bookId}:${chapter}:${number}`;
+    const words = tokenize(text);
+
+    index.verses.set(verseKey, { book, chapter, verse: number, text, length: words.length });
+    index.totalLength += words.length;
+
+    words.forEach(({ word }, position) => {
+      if (!index.postings.has(word)) index.postings.set(word, new Map());
+      const verses = index.postings.get(word);
+      if (!verses.has(verseKey)) verses.set(verseKey, []);
+      verses.get(verseKey).push(position);
+    });
+  });
+}
+
+/**
+ * Tell listeners how indexing of a translation is going
+ * @param {string} translation - Translation id
+ */
+function emitProgress(translation) {
+  eventBus.emit(Events.SEARCH_INDEX_PROGRESS, { translation, ...getIndexStatus(translation) });
+}
+
+/**
+ * Wait until the browser has nothing more urgent to do
+ * @returns {Promise<void>}
+ */
+function waitForIdle() {
+  return new Promise((resolve) => {
+    if (typeof requestIdleCallback === "function") {
+      requestIdleCallback(() => resolve(), { timeout: 500 });
+    } else {
+      setTimeout(resolve, 0);
+    }
+  });
+}
+
+/**
+ * Work through the queue a slice at a time, yielding to the browser between slices
+ */
+async function runIndexing() {
+  if (indexing) return;
+  indexing = true;
+
+  try {
+    while (queue.length > 0) {
+      await waitForIdle();
+
+      const sliceEnd = performance.now() + SLICE_DURATION;
+      const touched = new Set();
+      while (queue.length > 0 && performance.now() < sliceEnd) {
+        const job = queue.shift();
+        queuedKeys.delete(`${job.translation}:${job.bookId}:${job.chapter}`);
+        touched.add(job.translation);
+
+        try {
+          const chapterData = await job.load();
+          if (chapterData) {
+            addChapter(getIndex(job.translation), job.bookId, job.chapter, chapterData);
+          }
+        } catch (error) {
+          console.error(`Error indexing ${job.bookId} ${job.chapter}:`, error);
+        }
+      }
+      touched.forEach(emitProgress);
+    }
+  } finally {
+    indexing = false;
+  }
+}
+
+/**
+ * Queue a chapter for indexing unless it is already indexed or queued
+ * @param {string} translation - Translation id
+ * @param {string} bookId - Book abbreviation
+ * @param {number} chapter - Chapter number
+ * @param {Function} load - Returns the chapter data (or a promise of it)
+ */
+function queueChapter(translation, bookId, chapter, load) {
+  const key = `${translation}:${bookId}:${chapter}`;
+  if (queuedKeys.has(key) || getIndex(translation).chapters.has(`${bookId}:${chapter}`)) return;
+
+  queuedKeys.add(key);
+  queue.push({ translation, bookId, chapter, load });
+}
+
+/**
+ * Queue the stored chapters of a translation that aren't indexed yet
+ * @param {string} translation - Translation id
+ */
+async function queueOfflineChapters(translation) {
+  const storedChapters = await getOfflineChapterKeys(translation);
+  storedChapters.forEach((key) => {
+    const [bookId, chapter] = key.split(":");
+    queueChapter(translation, bookId, Number(chapter), () => getOfflineChapter(translation, bookId, Number(chapter)));
+  });
+}
+
+/**
+ * Index every chapter of a translation on the device - cached chapters first, then the offline store
+ * From then on, the translation's index is kept up to date as chapters are loaded or downloaded
+ * @param {string} translation - Translation id
+ */
+export async function indexTranslation(translation) {
+  getIndex(translation);
+  getCachedChapters(translation).forEach(({ bookId, chapter, data }) =>
+    queueChapter(translation, bookId, chapter, () => data)
+  );
+  runIndexing();
+
+  await queueOfflineChapters(translation);
+  emitProgress(translation);
+  runIndexing();
+}
+
+/**
+ * Report how much of a translation is indexed
+ * @param {string} translation - Translation id
+ * @returns {{chapters: number, verses: number, pending: number}} Indexed chapters and verses, and chapters queued
+ */
+export function getIndexStatus(translation) {
+  const index = indexes.get(translation);
+  return {
+    chapters: index?.chapters.size ?? 0,
+    verses: index?.verses.size ?? 0,
+    pending: queue.filter((job) => job.translation === translation).length,
+  };
+}
+
+/**
+ * Find where a clause matches in a verse
+ * @param {Object} index - Translation index
+ * @param {Array<string>} words - Clause words
+ * @param {string} verseKey - Verse to check
+ * @returns {Array<number>} Word positions where the clause starts
+ */
+function findClauseMatches(index, words, verseKey) {
+  const [first, ...rest] = words.map((word) => index.postings.get(word)?.get(verseKey) ?? []);
+  return first.filter((position) => rest.every((positions, offset) => positions.includes(position + offset + 1)));
+}
+
+/**
+ * Search the indexed verses of a translation
+ * Every word and "quoted phrase" in the query must appear in a verse for it to match
+ * @param {string} query - Search query
+ * @param {Object} options - Search options
+ * @param {string} options.translation - Translation id
+ * @param {Set<string>|null} [options.books] - Only search these books (null searches all)
+ * @param {number} [options.limit=100] - Most results returned
+ * @returns {{results: Array<{book: string, chapter: number, verse: number, text: string, score: number,
+ *   highlights: Array<[number, number]>}>, total: number}} Best results first, with the character ranges
+ *   of the matched words in the text, and the number of matching verses
+ */
+export function search(query, { translation, books = null, limit = 100 }) {
+  const index = indexes.get(translation);
+  const clauses = parseQuery(query);
+  if (!index || index.verses.size === 0 || clauses.length === 0) {
+    return { results: [], total: 0 };
+  }
+
+  // Candidates must contain every word; the rarest word gives the smallest set to check
+  const words = [...new Set(clauses.flat())];
+  const postingLists = words.map((word) => index.postings.get(word));
+  if (postingLists.some((verses) => !verses)) {
+    return { results: [], total: 0 };
+  }
+  const [rarest] = [...postingLists].sort((a, b) => a.size - b.size);
+
+  const verseCount = index.verses.size;
+  const averageLength = index.totalLength / verseCount;
+  const matches = [];
+
+  for (const verseKey of rarest.keys()) {
+    const verse = index.verses.get(verseKey);
+    if (books && !books.has(verse.book)) continue;
+    if (!postingLists.every((verses) => verses.has(verseKey))) continue;
+
+    const clauseMatches = clauses.map((clause) => findClauseMatches(index, clause, verseKey));
+    if (clauseMatches.some((positions) => positions.length === 0)) continue;
+
+    // BM25 per clause; phrases count once per word so an exact phrase outranks scattered words
+    const lengthFactor = 1 - RANK_B + RANK_B * (verse.length / averageLength);
+    const score = clauses.reduce((sum, clause, i) => {
+      const frequency = clauseMatches[i].length;
+      const documentFrequency = Math.min(...clause.map((word) => index.postings.get(word).size));
+      const idf = Math.log(1 + (verseCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+      return sum + clause.length * idf * ((frequency * (RANK_K1 + 1)) / (frequency + RANK_K1 * lengthFactor));
+    }, 0);
+
+    matches.push({ verseKey, verse, clauseMatches, score });
+  }
+
+  matches.sort(
+    (a, b) =>
+      b.score - a.score ||
+      bookOrder[a.verse.book] - bookOrder[b.verse.book] ||
+      a.verse.chapter - b.verse.chapter ||
+      a.verse.verse - b.verse.verse
+  );
+
+  const results = matches.slice(0, limit).map(({ verse, clauseMatches, score }) => {
+    // Mark every word that is part of a match
+    const matchedPositions = new Set(
+      clauses.flatMap((clause, i) => clauseMatches[i].flatMap((start) => clause.map((_, offset) => start + offset)))
+    );
+    const highlights = tokenize(verse.text)
+      .filter((_, position) => matchedPositions.has(position))
+      .map(({ start, end }) => [start, end]);
+
+    return { book: verse.book, chapter: verse.chapter, verse: verse.verse, text: verse.text, score, highlights };
+  });
+
+  return { results, total: matches.length };
+}
+
+/**
+ * Keep the indexes of searched translations up to date as chapters are loaded or downloaded
+ */
+export function initSearchIndex() {
+  eventBus.on(Events.CHAPTER_LOADED, ({ translation, bookId, chapter, data }) => {
+    if (!indexes.has(translation)) return;
+    queueChapter(translation, bookId, chapter, () => data);
+    runIndexing();
+  });
+
+  eventBus.on(Events.OFFLINE_BOOKS_CHANGED, async ({ translation }) => {
+    if (!indexes.has(translation)) return;
+    await queueOfflineChapters(translation);
+    runIndexing();
+  });
+}
@@ -0,0 +1,125 @@
+import { beforeAll, describe, expect, it, vi } from "vitest";
+import { fetchChapter, setProvider } from "./bibleApiService.js";
+import { createFixtureProvider } from "./providers/index.js";
+import { getIndexStatus, indexTranslation, search } from "./searchIndex.js";
+
+/**
+ * Build chapter data in the API format
+ * @param {number} number - Chapter number
+ * @param {Object<number, string>} verses - Verse number -> text
+ * @returns {Object} Chapter data
+ */
+function chapter(number, verses) {
+  return {
+    translation: { id: "TST", shortName: "TST", textDirection: "ltr" },
+    chapter: {
+      number,
+      content: Object.entries(verses).map(([verse, text]) => ({
+        type: "verse",
+        number: Number(verse),
+        content: [text],
+      })),
+      footnotes: [],
+    },
+  };
+}
+
+const CHAPTERS = {
+  "TST:GEN:1": chapter(1, {
+    1: "In the beginning God created the heavens and the earth.",
+    2: "Love came first, then one and another followed.",
+  }),
+  "TST:1KI:19": chapter(19, {
+    9: "There Élie went into a cave and spent the night.",
+  }),
+  "TST:JHN:13": chapter(13, {
+    34: "A new commandment I give you: Love one another.",
+    35: "By this all men will know that you are My disciples.",
+  }),
+  "TST:ROM:12": chapter(12, {
+    10: "Be devoted to one another in brotherly love.",
+  }),
+};
+
+/**
+ * Summarize results as references for compact assertions
+ * @param {{results: Array<Object>}} found - Search results
+ * @returns {Array<string>} References, best first
+ */
+const references = ({ results }) => results.map(({ book, chapter, verse }) => `${book} ${chapter}:${verse}`);
+
+beforeAll(async () => {
+  // Searching covers chapters already loaded, so load the fixture chapters into the cache first
+  setProvider(createFixtureProvider({ chapters: CHAPTERS }));
+  await Promise.all([
+    fetchChapter("Genesis", 1, "TST"),
+    fetchChapter("1 Kings", 19, "TST"),
+    fetchChapter("John", 13, "TST"),
+    fetchChapter("Romans", 12, "TST"),
+  ]);
+
+  await indexTranslation("TST");
+  await vi.waitFor(() => expect(getIndexStatus("TST")).toEqual({ chapters: 4, verses: 6, pending: 0 }));
+});
+
+describe("search", () => {
+  it("finds verses containing every word, wherever they are", () => {
+    const found = search("love one another", { translation: "TST" });
+
+    expect(references(found).sort()).toEqual(["Genesis 1:2", "John 13:34", "Romans 12:10"]);
+    expect(found.total).toBe(3);
+  });
+
+  it("ranks an exact phrase first, leaving out verses where its words are scattered", () => {
+    // Unquoted, the shorter verses with the words apart rank above the phrase
+    expect(references(search("love one another", { translation: "TST" }))[0]).not.toBe("John 13:34");
+
+    expect(references(search(`"love one another"`, { translation: "TST" }))).toEqual(["John 13:34"]);
+    expect(references(search(`love "one another"`, { translation: "TST" })).sort()).toEqual([
+      "John 13:34",
+      "Romans 12:10",
+    ]);
+  });
+
+  it("ignores case and accents", () => {
+    expect(references(search("ELIE", { translation: "TST" }))).toEqual(["1 Kings 19:9"]);
+    expect(references(search("élie", { translation: "TST" }))).toEqual(["1 Kings 19:9"]);
+    expect(references(search("In The Beginning", { translation: "TST" }))).toEqual(["Genesis 1:1"]);
+  });
+
+  it("only searches the chosen books", () => {
+    const books = new Set(["Genesis", "Romans"]);
+
+    expect(references(search("love one another", { translation: "TST", books }))).toEqual([
+      "Genesis 1:2",
+      "Romans 12:10",
+    ]);
+    expect(search("commandment", { translation: "TST", books })).toEqual({ results: [], total: 0 });
+  });
+
+  it("marks the character ranges of the matched words", () => {
+    const [result] = search(`"one another" love`, { translation: "TST", books: new Set(["Romans"]) }).results;
+    const marked = result.highlights.map(([start, end]) => result.text.slice(start, end));
+
+    expect(marked).toEqual(["one", "another", "love"]);
+    expect(result.highlights[0]).toEqual([result.text.indexOf("one"), result.text.indexOf("one") + 3]);
+  });
+
+  it("marks accented words where they appear in the original text", () => {
+    const [result] = search("elie", { translation: "TST" }).results;
+
+    expect(result.highlights).toEqual([[6, 10]]);
+    expect(result.text.slice(6, 10)).toBe("Élie");
+  });
+
+  it("limits the results but counts every match", () => {
+    const found = search("love", { translation: "TST", limit: 1 });
+
+    expect(found.results).toHaveLength(1);
+    expect(found.total).toBe(3);
+  });
+
+  it("finds nothing in translations that haven't been indexed", () => {
+    expect(search("love", { translation: "KJV" })).toEqual({ results: [], total: 0 });
+  });
+});
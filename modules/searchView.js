@@ -0,0 +1,257 @@
+/**
+ * Search view - type words or "a phrase" to find verses in the chapters on this device,
+ * optionally limited to a testament, a category of books or a single book
+ * Results are ranked by relevance; tapping one opens reading mode at that verse
+ */
+
+import { bookAbbreviations, categories } from "/data.js";
+import { MODES } from "./constants.js";
+import { formatReference } from "./bookDataUtils.js";
+import { eventBus, Events } from "./eventBus.js";
+import { escapeHTML } from "./htmlUtils.js";
+import { indexTranslation, getIndexStatus, search } from "./searchIndex.js";
+import { getTranslation } from "./settings.js";
+
+const TESTAMENTS = ["Old Testament", "New Testament"];
+
+// Wait after the last keystroke before searching
+const SEARCH_DELAY = 200;
+
+// Refresh results at most this often while chapters are being indexed
+const REFRESH_INTERVAL = 500;
+
+// Characters of context shown either side of the first match in long verses
+const SNIPPET_CONTEXT = 80;
+
+let config = null;
+
+// Kept across visits, so returning from a result shows the same search
+let query = "";
+let scope = "all";
+
+// Search view currently on screen
+let activeView = null;
+let refreshTimer = null;
+
+/**
+ * Get the books a scope covers
+ * @param {string} scopeValue - "all", "testament:<name>", "category:<index into categories>" or "book:<name>"
+ * @returns {Set<string>|null} Book names, or null for the whole Bible
+ */
+function getScopeBooks(scopeValue) {
+  const [type, value] = scopeValue.split(/:(.*)/);
+  if (type === "testament") {
+    return new Set(categories.filter((category) => category.testament === value).flatMap((category) => category.books));
+  }
+  if (type === "category") {
+    return new Set(categories[Number(value)]?.books ?? []);
+  }
+  if (type === "book") {
+    return new Set([value]);
+  }
+  return null;
+}
+
+/**
+ * Build the scope picker options
+ * @returns {string} HTML string
+ */
+function renderScopeOptions() {
+  const option = (value, label) =>
+    `<option value="${escapeHTML(value)}" ${value === scope ? "selected" : ""}>${escapeHTML(label)}</option>`;
+
+  const testamentGroups = TESTAMENTS.map(
+    (testament) => `
+      <optgroup label="${testament}">
+        ${option(`testament:${testament}`, `All ${testament}`)}
+        ${categories
+          .map((category, index) =>
+            category.testament === testament ? option(`category:${index}`, category.name) : ""
+          )
+          .join("")}
+      </optgroup>`
+  ).join("");
+
+  return `
+    ${option("all", "Whole Bible")}
+    ${testamentGroups}
+    <optgroup label="Books">
+      ${Object.keys(bookAbbreviations)
+        .map((book) => option(`book:${book}`, book))
+        .join("")}
+    </optgroup>
+  `;
+}
+
+/**
+ * Build the HTML for a verse with the matched words marked, trimmed around the first match if it is long
+ * @param {string} text - Verse text
+ * @param {Array<[number, number]>} highlights - Character ranges of matched words
+ * @returns {string} HTML string
+ */
+function renderSnippet(text, highlights) {
+  const firstMatch = highlights[0]?.[0] ?? 0;
+  const start = text.length > SNIPPET_CONTEXT * 3 ? Math.max(firstMatch - SNIPPET_CONTEXT, 0) : 0;
+  const end = text.length > SNIPPET_CONTEXT * 3 ? Math.min(firstMatch + SNIPPET_CONTEXT * 2, text.length) : text.length;
+
+  let html = start > 0 ? "…" : "";
+  let position = start;
+  highlights
+    .filter(([from, to]) => from >= start && to <= end)
+    .forEach(([from, to]) => {
+      html += `${escapeHTML(text.slice(position, from))}<mark>${escapeHTML(text.slice(from, to))}</mark>`;
+      position = to;
+    });
+  html += escapeHTML(text.slice(position, end));
+  return end < text.length ? `${html}…` : html;
+}
+
+/**
+ * Describe how much of the translation can be searched
+ * @param {string} translation - Translation id
+ * @returns {string} Status text
+ */
+function describeIndexStatus(translation) {
+  const { chapters, pending } = getIndexStatus(translation);
+  if (chapters === 0 && pending === 0) {
+    return `No ${translation} chapters on this device yet - read some chapters or download books for offline reading to search them.`;
+  }
+
+  const indexing = pending > 0 ? ` · indexing ${pending} more…` : "";
+  return `Searching ${chapters} ${chapters === 1 ? "chapter" : "chapters"} of ${translation}${indexing}`;
+}
+
+/**
+ * Run the current search and show its results
+ * @param {HTMLElement} view - Search view element
+ */
+function showResults(view) {
+  const translation = getTranslation();
+  const resultsElement = view.querySelector(".search-results");
+  view.querySelector(".search-status").textContent = describeIndexStatus(translation);
+
+  if (!query.trim()) {
+    resultsElement.innerHTML = "";
+    return;
+  }
+
+  const { results, total } = search(query, { translation, books: getScopeBooks(scope) });
+  if (total === 0) {
+    resultsElement.innerHTML = `<div class="panel-empty">No verses found</div>`;
+    return;
+  }
+
+  const shown =
+    results.length < total
+      ? `Top ${results.length} of ${total} verses`
+      : `${total} ${total === 1 ? "verse" : "verses"}`;
+  resultsElement.innerHTML = `
+    <div class="search-count">${shown}</div>
+    ${results
+      .map(
+        (result) => `
+          <button class="search-result" data-book="${escapeHTML(result.book)}" data-chapter="${result.chapter}" data-verse="${escapeHTML(result.verse)}">
+            <span class="search-result-reference">${escapeHTML(formatReference(result.book, result.chapter, result.verse))}</span>
+            <span class="search-result-text">${renderSnippet(result.text, result.highlights)}</span>
+          </button>`
+      )
+      .join("")}
+  `;
+}
+
+/**
+ * Refresh the results on screen, at most once per REFRESH_INTERVAL
+ */
+function scheduleRefresh() {
+  if (refreshTimer || !activeView?.isConnected) return;
+
+  refreshTimer = setTimeout(() => {
+    refreshTimer = null;
+    if (activeView?.isConnected) {
+      showResults(activeView);
+    }
+  }, REFRESH_INTERVAL);
+}
+
+/**
+ * Build the search view and start indexing the chosen translation
+ * @returns {HTMLElement} Search view element
+ */
+export function createSearchView() {
+  const view = document.createElement("div");
+  view.className = "search-view";
+  view.innerHTML = `
+    <div class="testament">Search</div>
+    <form class="search-form">
+      <input class="panel-search search-input" type="search" placeholder='Words or "a phrase"' autocomplete="off" aria-label="Search" value="${escapeHTML(query)}">
+      <select class="search-scope" aria-label="Search in">${renderScopeOptions()}</select>
+    </form>
+    <div class="search-status"></div>
+    <div class="search-results"></div>
+  `;
+
+  const input = view.querySelector(".search-input");
+  let searchTimer = null;
+
+  input.addEventListener("input", () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => {
+      query = input.value;
+      showResults(view);
+    }, SEARCH_DELAY);
+  });
+
+  view.querySelector(".search-form").addEventListener("submit", (e) => {
+    e.preventDefault();
+    clearTimeout(searchTimer);
+    query = input.value;
+    input.blur();
+    showResults(view);
+  });
+
+  view.querySelector(".search-scope").addEventListener("change", (e) => {
+    scope = e.target.value;
+    showResults(view);
+  });
+
+  view.addEventListener("click", (e) => {
+    const result = e.target.closest(".search-result");
+    if (!result) return;
+
+    config.navigateCallback({
+      mode: MODES.READING,
+      bookIndex: config.allBooks.findIndex((item) => item.book === result.dataset.book),
+      chapter: Number(result.dataset.chapter),
+      verse: Number(result.dataset.verse),
+    });
+  });
+
+  activeView = view;
+  indexTranslation(getTranslation());
+  showResults(view);
+  return view;
+}
+
+/**
+ * Initialize the search view
+ * @param {Object} params - Configuration object
+ * @param {Array} params.allBooks - Array of all book data
+ * @param {Function} params.navigateCallback - Callback to jump to a route ({ mode, bookIndex, chapter, verse })
+ */
+export function initSearchView({ allBooks, navigateCallback }) {
+  config = { allBooks, navigateCallback };
+
+  // Results fill in as chapters are indexed
+  eventBus.on(Events.SEARCH_INDEX_PROGRESS, ({ translation }) => {
+    if (translation === getTranslation()) {
+      scheduleRefresh();
+    }
+  });
+
+  eventBus.on(Events.SETTINGS_CHANGED, ({ key }) => {
+    if (key === "translation" && activeView?.isConnected) {
+      indexTranslation(getTranslation());
+      showResults(activeView);
+    }
+  });
+}
@@ -0,0 +1,137 @@
+/**
+ * Session persistence - remembers where the user was between launches
+ * Saves mode, book, chapter, verse and reading scroll position whenever navigation state changes
+ */
+
+import { chapterCounts } from "/data.js";
+import { MODES } from "./constants.js";
+import { createStore } from "./storage.js";
+import { eventBus, Events } from "./eventBus.js";
+import { getCurrentMode, getCurrentBookIndex, getCurrentChapter, getCurrentVerse } from "./navigationState.js";
+
+// Modes the app can be reopened in
+const RESTORABLE_MODES = [MODES.BOOKS, MODES.CHAPTERS, MODES.VERSES, MODES.READING, MODES.BOOKMARKS, MODES.SEARCH];
+
+// Delay before saving scroll position, so scrolling doesn't write on every frame
+const SCROLL_SAVE_DELAY = 250;
+
+/**
+ * Schema history:
+ *   v1 - { mode, bookIndex, chapter, scrollTop }
+ *   v2 - adds verse (the verse shown in verses mode)
+ */
+const sessionStore = createStore("session", {
+  version: 2,
+  defaults: () => null,
+  migrations: {
+    2: (data) => data && { ...data, verse: null },
+  },
+});
+
+let scrollTop = 0;
+let scrollSaveTimeout = null;
+
+/**
+ * Save the current navigation state
+ */
+function saveSession() {
+  sessionStore.save({
+    mode: getCurrentMode(),
+    bookIndex: getCurrentBookIndex(),
+    chapter: getCurrentChapter(),
+    verse: getCurrentMode() === MODES.VERSES ? getCurrentVerse() : null,
+    scrollTop,
+  });
+}
+
+/**
+ * Check that a saved session still points at a real location
+ * @param {Object|null} session - Loaded session data
+ * @param {Array} allBooks - Array of all book data
+ * @returns {boolean} True if the session can be restored
+ */
+function isValidSession(session, allBooks) {
+  if (!session || !RESTORABLE_MODES.includes(session.mode)) {
+    return false;
+  }
+
+  const item = allBooks[session.bookIndex];
+  if (!item || !Number.isInteger(session.chapter)) {
+    return false;
+  }
+  return session.chapter >= 1 && session.chapter <= chapterCounts[item.book];
+}
+
+/**
+ * Restore the last saved session
+ * @param {Array} allBooks - Array of all book data
+ * @param {Function} navigateCallback - Callback that shows a route ({ mode, bookIndex, chapter, verse })
+ * @returns {boolean} True if a session was restored
+ */
+export function restoreSession(allBooks, navigateCallback) {
+  const session = sessionStore.load();
+  if (!isValidSession(session, allBooks)) {
+    return false;
+  }
+
+  navigateCallback({
+    mode: session.mode,
+    bookIndex: session.bookIndex,
+    chapter: session.chapter,
+    verse: session.verse,
+  });
+
+  // Chapter text loads asynchronously - scroll once it's rendered, unless a verse sets the position,
+  // or the chapter fails to load or the reader moves on first
+  if (session.mode === MODES.READING && session.scrollTop > 0 && !session.verse) {
+    const { book } = allBooks[session.bookIndex];
+    const unsubscribers = [];
+    const stopWaiting = () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+    unsubscribers.push(
+      eventBus.on(Events.DISPLAY_READING, ({ book: shownBook, chapter, contentElement }) => {
+        if (shownBook !== book || chapter !== session.chapter) return;
+        stopWaiting();
+        contentElement.scrollTop = session.scrollTop;
+      }),
+      eventBus.on(Events.API_ERROR, (error) => {
+        if (error.book === book && error.chapter === session.chapter) stopWaiting();
+      }),
+      eventBus.on(Events.MODE_CHANGED, stopWaiting),
+      eventBus.on(Events.BOOK_CHANGED, stopWaiting),
+      eventBus.on(Events.CHAPTER_CHANGED, stopWaiting)
+    );
+  }
+  return true;
+}
+
+/**
+ * Start saving the session whenever navigation state changes
+ * @param {Object} params - Configuration object
+ * @param {HTMLElement} params.letterDisplay - Display element that hosts the scrollable chapter content
+ */
+export function initSessionPersistence({ letterDisplay }) {
+  const resetScrollAndSave = () => {
+    scrollTop = 0;
+    saveSession();
+  };
+
+  eventBus.on(Events.BOOK_CHANGED, resetScrollAndSave);
+  eventBus.on(Events.CHAPTER_CHANGED, resetScrollAndSave);
+  eventBus.on(Events.MODE_CHANGED, resetScrollAndSave);
+  eventBus.on(Events.VERSE_CHANGED, saveSession);
+
+  // Scroll events don't bubble, so listen in the capture phase for the chapter content
+  letterDisplay.addEventListener(
+    "scroll",
+    (e) => {
+      if (getCurrentMode() !== MODES.READING || !e.target.classList?.contains("chapter-content")) return;
+
+      scrollTop = e.target.scrollTop;
+      clearTimeout(scrollSaveTimeout);
+      scrollSaveTimeout = setTimeout(saveSession, SCROLL_SAVE_DELAY);
+    },
+    true
+  );
+
+  saveSession();
+}
@@ -0,0 +1,103 @@
+/**
+ * User settings - small preferences remembered between launches
+ */
+
+import { createStore } from "./storage.js";
+import { eventBus, Events } from "./eventBus.js";
+
+// Berean Standard Bible (KJV not available in this API)
+export const DEFAULT_TRANSLATION = "BSB";
+
+// Most translations shown side by side in the reading view, including the main one
+export const MAX_PARALLEL_COLUMNS = 3;
+
+/**
+ * Schema history:
+ *   v1 - { translation }
+ *   v2 - adds parallelTranslations (extra translation ids shown beside the main one)
+ *   v3 - adds redLetter (show the words of Jesus in red)
+ *   v4 - adds citationStyle (how shared verses are cited, see CITATION_STYLES in sharePanel.js)
+ */
+const settingsStore = createStore("settings", {
+  version: 4,
+  defaults: () => ({
+    translation: DEFAULT_TRANSLATION,
+    parallelTranslations: [],
+    redLetter: true,
+    citationStyle: "dash",
+  }),
+  migrations: {
+    2: (data) => ({ ...data, parallelTranslations: [] }),
+    3: (data) => ({ ...data, redLetter: true }),
+    4: (data) => ({ ...data, citationStyle: "dash" }),
+  },
+});
+
+let settings = settingsStore.load();
+
+/**
+ * Read a setting
+ * @param {string} key - Setting name
+ * @returns {*} Setting value
+ */
+export function getSetting(key) {
+  return settings[key];
+}
+
+/**
+ * Change a setting and notify listeners
+ * @param {string} key - Setting name
+ * @param {*} value - New value
+ */
+export function setSetting(key, value) {
+  if (settings[key] === value) return;
+
+  settings = { ...settings, [key]: value };
+  settingsStore.save(settings);
+  eventBus.emit(Events.SETTINGS_CHANGED, { key, value });
+}
+
+/**
+ * Get the translation chapters are fetched in
+ * @returns {string} Translation id (e.g. "BSB")
+ */
+export function getTranslation() {
+  return settings.translation || DEFAULT_TRANSLATION;
+}
+
+/**
+ * Get the translations shown side by side in the reading view
+ * @returns {Array<string>} Translation ids, the main translation first
+ */
+export function getReadingTranslations() {
+  const extras = (settings.parallelTranslations || []).filter((id) => id !== getTranslation());
+  return [getTranslation(), ...new Set(extras)].slice(0, MAX_PARALLEL_COLUMNS);
+}
+
+/**
+ * Add a translation to show beside the main one
+ * @param {string} translation - Translation id
+ * @throws {Error} If there is no room for another column
+ */
+export function addParallelTranslation(translation) {
+  const current = getReadingTranslations();
+  if (current.includes(translation)) return;
+  if (current.length >= MAX_PARALLEL_COLUMNS) {
+    throw new Error(`At most ${MAX_PARALLEL_COLUMNS} translations can be shown side by side`);
+  }
+
+  setSetting("parallelTranslations", [...current.slice(1), translation]);
+}
+
+/**
+ * Stop showing a translation beside the main one
+ * @param {string} translation - Translation id
+ */
+export function removeParallelTranslation(translation) {
+  setSetting(
+    "parallelTranslations",
+    getReadingTranslations()
+      .slice(1)
+      .filter((id) => id !== translation)
+  );
+}
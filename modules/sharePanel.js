@@ -0,0 +1,198 @@
+/**
+ * Share panel - copy or share selected verses with a citation and a link back into the app
+ * Uses the Web Share API where the browser has it, and the clipboard everywhere else
+ */
+
+import { MODES } from "./constants.js";
+import { formatReference } from "./bookDataUtils.js";
+import { fetchChapter } from "./bibleApiService.js";
+import { parseChapter, sliceChapter } from "./chapterModel.js";
+import { renderChapterText } from "./chapterTextRenderer.js";
+import { escapeHTML } from "./htmlUtils.js";
+import { openPanel } from "./panel.js";
+import { buildHash } from "./router.js";
+import { getSetting, setSetting, getTranslation } from "./settings.js";
+
+// How the citation is attached to the text, keyed by the citationStyle setting
+export const CITATION_STYLES = {
+  dash: {
+    label: "Text — Reference (BSB)",
+    format: (text, reference, translation) => `${text} — ${reference} (${translation})`,
+  },
+  quoted: {
+    label: "“Text” — Reference (BSB)",
+    format: (text, reference, translation) => `“${text}” — ${reference} (${translation})`,
+  },
+  first: {
+    label: "Reference (BSB), then text",
+    format: (text, reference, translation) => `${reference} (${translation})\n${text}`,
+  },
+  parentheses: {
+    label: "Text (Reference, BSB)",
+    format: (text, reference, translation) => `${text} (${reference}, ${translation})`,
+  },
+};
+
+// Kept across shares: verse numbers help with longer ranges but clutter a single verse
+let verseNumbers = false;
+
+/**
+ * Format verses with their citation
+ * @param {string} text - Verse text
+ * @param {Object} passage - Passage ({ book, chapter, verseStart, verseEnd })
+ * @param {string} translation - Short translation name (e.g. "BSB")
+ * @param {string} [style] - Key of CITATION_STYLES (default: the citationStyle setting)
+ * @returns {string} Text with citation (e.g. "For God so loved the world… — John 3:16 (BSB)")
+ */
+export function formatSharedText(
+  text,
+  { book, chapter, verseStart, verseEnd },
+  translation,
+  style = getSetting("citationStyle")
+) {
+  const { format } = CITATION_STYLES[style] ?? CITATION_STYLES.dash;
+  return format(text, formatReference(book, chapter, verseStart, verseEnd), translation);
+}
+
+/**
+ * Copy text to the clipboard, falling back to a hidden textarea where the Clipboard API is unavailable
+ * (e.g. pages not served over HTTPS)
+ * @param {string} text - Text to copy
+ * @returns {Promise<void>}
+ * @throws {Error} If the browser refuses to copy
+ */
+async function copyToClipboard(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    return;
+  } catch {
+    // Fall through to the older approach
+  }
+
+  const textarea = document.createElement("textarea");
+  textarea.value = text;
+  textarea.setAttribute("readonly", "");
+  textarea.style.position = "fixed";
+  textarea.style.opacity = "0";
+  document.body.appendChild(textarea);
+  textarea.select();
+  const copied = document.execCommand("copy");
+  textarea.remove();
+
+  if (!copied) {
+    throw new Error("Unable to copy - select the text above and copy it yourself.");
+  }
+}
+
+/**
+ * Show the share panel for selected verses
+ * @param {Object} passage - Verses to share
+ * @param {string} passage.book - Book name
+ * @param {number} passage.chapter - Chapter number
+ * @param {number} passage.verseStart - First verse
+ * @param {number} [passage.verseEnd] - Last verse (default: verseStart)
+ * @param {Array} allBooks - Array of all book data
+ */
+export function showSharePanel({ book, chapter, verseStart, verseEnd = verseStart }, allBooks) {
+  const passage = { book, chapter, verseStart, verseEnd };
+  const canShare = typeof navigator.share === "function";
+
+  // Links open reading mode at the first selected verse
+  const hash = buildHash(
+    { mode: MODES.READING, bookIndex: allBooks.findIndex((item) => item.book === book), chapter, verse: verseStart },
+    allBooks
+  );
+  const link = new URL(hash, location.href).href;
+
+  const content = document.createElement("div");
+  content.className = "share-view";
+  content.innerHTML = `
+    <div class="share-preview"><div class="loading-spinner">Loading...</div></div>
+    <select class="panel-search share-style" aria-label="Citation style">
+      ${Object.entries(CITATION_STYLES)
+        .map(
+          ([key, { label }]) =>
+            `<option value="${key}" ${key === getSetting("citationStyle") ? "selected" : ""}>${escapeHTML(label)}</option>`
+        )
+        .join("")}
+    </select>
+    <label class="share-option"><input type="checkbox" class="share-verse-numbers" ${verseNumbers ? "checked" : ""}> Verse numbers</label>
+    <div class="share-status"></div>
+    <div class="panel-actions">
+      <button class="panel-button" data-share-action="copy" disabled>Copy</button>
+      ${canShare ? `<button class="panel-button" data-share-action="share" disabled>Share</button>` : ""}
+    </div>
+  `;
+
+  const preview = content.querySelector(".share-preview");
+  const status = content.querySelector(".share-status");
+  let chapterSlice = null;
+  let translationName = getTranslation();
+
+  const getSharedText = () =>
+    formatSharedText(renderChapterText(chapterSlice, { verseNumbers, headings: false }), passage, translationName);
+
+  const renderPreview = () => {
+    preview.textContent = `${getSharedText()}\n${link}`;
+  };
+
+  const copy = async () => {
+    try {
+      await copyToClipboard(`${getSharedText()}\n${link}`);
+      status.textContent = "Copied to clipboard";
+    } catch (copyError) {
+      status.textContent = copyError.message;
+    }
+  };
+
+  content.addEventListener("change", (e) => {
+    if (!chapterSlice) return;
+
+    if (e.target.classList.contains("share-style")) {
+      setSetting("citationStyle", e.target.value);
+    } else if (e.target.classList.contains("share-verse-numbers")) {
+      verseNumbers = e.target.checked;
+    }
+    status.textContent = "";
+    renderPreview();
+  });
+
+  content.addEventListener("click", async (e) => {
+    const button = e.target.closest("[data-share-action]");
+    if (!button || !chapterSlice) return;
+
+    if (button.dataset.shareAction === "copy") {
+      copy();
+      return;
+    }
+
+    try {
+      await navigator.share({
+        title: formatReference(book, chapter, verseStart, verseEnd),
+        text: getSharedText(),
+        url: link,
+      });
+    } catch (shareError) {
+      // Closing the share sheet isn't a failure; anything else falls back to the clipboard
+      if (shareError.name !== "AbortError") {
+        copy();
+      }
+    }
+  });
+
+  openPanel({ title: `Share ${formatReference(book, chapter, verseStart, verseEnd)}`, content });
+
+  fetchChapter(book, chapter, getTranslation())
+    .then((chapterData) => {
+      const parsed = parseChapter(chapterData);
+      if (!parsed) throw new Error("No verse data available");
+
+      chapterSlice = sliceChapter(parsed, verseStart, verseEnd);
+      translationName = parsed.translationName || translationName;
+      renderPreview();
+      content.querySelectorAll("[data-share-action]").forEach((button) => (button.disabled = false));
+    })
+    .catch(() => {
+      preview.innerHTML = `<div class="panel-empty">Unable to load these verses. Please check your internet connection.</div>`;
+    });
+}
@@ -0,0 +1,106 @@
+/**
+ * Versioned localStorage persistence
+ * Every store saves its data as { version, data } so that saved data from an older
+ * schema can be migrated forward instead of breaking (or being silently misread)
+ */
+
+const STORAGE_PREFIX = "bible-nav:";
+
+/**
+ * Read raw storage, tolerating browsers where localStorage is unavailable (e.g. private mode)
+ * @param {string} key - Full storage key
+ * @returns {string|null} Stored string, or null
+ */
+function readRaw(key) {
+  try {
+    return window.localStorage.getItem(key);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Create a versioned store for one piece of persisted data
+ * @param {string} name - Store name (prefixed to form the storage key)
+ * @param {Object} options - Store options
+ * @param {number} options.version - Current schema version
+ * @param {Function} options.defaults - Returns fresh default data
+ * @param {Object<number, Function>} [options.migrations] - Map of version -> function upgrading data from version - 1
+ * @returns {{load: Function, save: Function, clear: Function}} Store API
+ *
+ * @example
+ * const store = createStore("session", {
+ *   version: 2,
+ *   defaults: () => ({ bookIndex: 0 }),
+ *   migrations: { 2: (data) => ({ ...data, chapter: 1 }) },
+ * });
+ * store.save({ bookIndex: 5, chapter: 2 });
+ * store.load(); // { bookIndex: 5, chapter: 2 }
+ */
+export function createStore(name, { version, defaults, migrations = {} }) {
+  const key = `${STORAGE_PREFIX}${name}`;
+
+  return {
+    /**
+     * Load stored data, migrating older versions
+     * Falls back to defaults when nothing is stored or the data can't be read
+     * @returns {*} Stored or default data
+     */
+    load() {
+      const raw = readRaw(key);
+      if (raw === null) {
+        return defaults();
+      }
+
+      try {
+        const record = JSON.parse(raw);
+        let data = record.data;
+
+        if (typeof record.version !== "number" || record.version > version) {
+          // Unknown or newer schema - don't guess at its shape
+          console.warn(`Ignoring stored "${name}" data with unsupported version ${record.version}`);
+          return defaults();
+        }
+
+        for (let next = record.version + 1; next <= version; next++) {
+          if (!migrations[next]) {
+            console.warn(`No migration for "${name}" to version ${next}, using defaults`);
+            return defaults();
+          }
+          data = migrations[next](data);
+        }
+
+        return data;
+      } catch (error) {
+        console.warn(`Could not read stored "${name}" data:`, error);
+        return defaults();
+      }
+    },
+
+    /**
+     * Save data under the current version
+     * @param {*} data - JSON-serializable data
+     * @returns {boolean} True if saved
+     */
+    save(data) {
+      try {
+        window.localStorage.setItem(key, JSON.stringify({ version, data }));
+        return true;
+      } catch (error) {
+        console.warn(`Could not save "${name}" data:`, error);
+        return false;
+      }
+    },
+
+    /**
+     * Remove stored data
+     */
+    clear() {
+      try {
+        window.localStorage.removeItem(key);
+      } catch {
+        // Storage unavailable - nothing to clear
+      }
+    },
+  };
+}
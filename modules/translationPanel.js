@@ -0,0 +1,180 @@
+/**
+ * Translation picker - every translation the API offers, grouped by language
+ * Also manages the extra translations shown side by side in the reading view
+ */
+
+import { fetchTranslations, groupTranslationsByLanguage } from "./bibleApiService.js";
+import { escapeHTML } from "./htmlUtils.js";
+import { openPanel, closePanel } from "./panel.js";
+import {
+  getTranslation,
+  setSetting,
+  getReadingTranslations,
+  addParallelTranslation,
+  removeParallelTranslation,
+  MAX_PARALLEL_COLUMNS,
+} from "./settings.js";
+
+/**
+ * Check whether a translation matches a search query
+ * @param {Object} translation - Translation from the catalog
+ * @param {string} query - Lowercase search text
+ * @returns {boolean} True if any of its names match
+ */
+function matchesQuery(translation, query) {
+  return [
+    translation.id,
+    translation.name,
+    translation.englishName,
+    translation.shortName,
+    translation.languageName,
+    translation.languageEnglishName,
+  ].some((value) => value?.toLowerCase().includes(query));
+}
+
+/**
+ * Build the grouped translation list
+ * @param {Array<Object>} translations - Translations to show
+ * @param {Array<string>} selected - Translation ids to mark as chosen
+ * @returns {string} HTML string
+ */
+function renderTranslationGroups(translations, selected) {
+  if (translations.length === 0) {
+    return `<div class="panel-empty">No translations match your search.</div>`;
+  }
+
+  return groupTranslationsByLanguage(translations)
+    .map(
+      (group) => `
+        <div class="panel-group">
+          <div class="panel-group-title">${escapeHTML(group.label)}</div>
+          ${group.translations
+            .map(
+              (translation) => `
+                <button class="panel-item${selected.includes(translation.id) ? " active" : ""}" data-translation="${escapeHTML(translation.id)}">
+                  <span class="panel-item-title">${escapeHTML(translation.englishName || translation.name)}</span>
+                  <span class="panel-item-detail">${escapeHTML(translation.shortName || translation.id)}</span>
+                </button>`
+            )
+            .join("")}
+        </div>`
+    )
+    .join("");
+}
+
+/**
+ * Show the translation picker
+ * @param {Object} [options] - Picker options
+ * @param {string} [options.title] - Panel title
+ * @param {Array<string>} [options.selected] - Translation ids to mark as chosen (default: the main translation)
+ * @param {Function} [options.onSelect] - Called with the chosen translation id after the panel closes
+ *   (default: make it the main translation)
+ */
+export function showTranslationPanel({
+  title = "Translation",
+  selected = [getTranslation()],
+  onSelect = (translation) => setSetting("translation", translation),
+} = {}) {
+  const content = document.createElement("div");
+  content.className = "translation-list";
+  content.innerHTML = `
+    <input class="panel-search" type="search" placeholder="Search translations or languages" />
+    <div class="translation-results"><div class="loading-spinner">Loading translations...</div></div>
+  `;
+
+  const input = content.querySelector(".panel-search");
+  const results = content.querySelector(".translation-results");
+  let translations = [];
+
+  const renderResults = () => {
+    const query = input.value.trim().toLowerCase();
+    results.innerHTML = renderTranslationGroups(
+      query ? translations.filter((translation) => matchesQuery(translation, query)) : translations,
+      selected
+    );
+  };
+
+  const load = async () => {
+    try {
+      translations = await fetchTranslations();
+      renderResults();
+    } catch {
+      results.innerHTML = `
+        <div class="panel-empty">Unable to load translations. Please check your internet connection.</div>
+        <div class="panel-actions"><button class="panel-button" data-retry>Try again</button></div>
+      `;
+    }
+  };
+
+  input.addEventListener("input", renderResults);
+
+  results.addEventListener("click", (e) => {
+    if (e.target.closest("[data-retry]")) {
+      results.innerHTML = `<div class="loading-spinner">Loading translations...</div>`;
+      load();
+      return;
+    }
+
+    const item = e.target.closest("[data-translation]");
+    if (!item) return;
+
+    closePanel();
+    onSelect(item.dataset.translation);
+  });
+
+  openPanel({ title, content });
+  load();
+}
+
+/**
+ * Show the translations read side by side, with buttons to add and remove columns
+ */
+export function showParallelPanel() {
+  const content = document.createElement("div");
+  content.className = "parallel-list";
+
+  const render = () => {
+    const [main, ...extras] = getReadingTranslations();
+    const items = extras
+      .map(
+        (translation) => `
+          <div class="parallel-option">
+            <span class="panel-item-title">${escapeHTML(translation)}</span>
+            <button class="panel-button" data-parallel-action="remove" data-translation="${escapeHTML(translation)}">Remove</button>
+          </div>`
+      )
+      .join("");
+
+    content.innerHTML = `
+      <div class="panel-intro">
+        Read up to ${MAX_PARALLEL_COLUMNS} translations side by side, verse by verse, next to ${escapeHTML(main)}.
+      </div>
+      ${items || `<div class="panel-empty">Only ${escapeHTML(main)} is shown.</div>`}
+      <div class="panel-actions">
+        ${extras.length + 1 < MAX_PARALLEL_COLUMNS ? `<button class="panel-button" data-parallel-action="add">Add translation</button>` : ""}
+      </div>
+    `;
+  };
+
+  content.addEventListener("click", (e) => {
+    const button = e.target.closest("[data-parallel-action]");
+    if (!button) return;
+
+    if (button.dataset.parallelAction === "remove") {
+      removeParallelTranslation(button.dataset.translation);
+      render();
+    } else if (button.dataset.parallelAction === "add") {
+      showTranslationPanel({
+        title: "Add parallel translation",
+        selected: getReadingTranslations(),
+        onSelect: (translation) => {
+          addParallelTranslation(translation);
+          showParallelPanel();
+        },
+      });
+    }
+  });
+
+  render();
+  openPanel({ title: "Parallel translations", content });
+}
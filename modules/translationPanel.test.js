@@ -0,0 +1,137 @@
+// @vitest-environment jsdom
+import { afterEach, beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
+import { fetchTranslations, groupTranslationsByLanguage, setProvider } from "./bibleApiService.js";
+import { initPanel, closePanel } from "./panel.js";
+import { createFixtureProvider } from "./providers/index.js";
+import { showTranslationPanel } from "./translationPanel.js";
+
+// A small catalog in the helloao format
+const TRANSLATIONS = [
+  {
+    id: "deu_sch",
+    name: "Schlachter 1951",
+    englishName: "Schlachter 1951",
+    language: "deu",
+    languageName: "Deutsch",
+    languageEnglishName: "German",
+  },
+  {
+    id: "BSB",
+    name: "Berean Standard Bible",
+    shortName: "BSB",
+    language: "eng",
+    languageName: "English",
+    languageEnglishName: "English",
+  },
+  {
+    id: "eng_kjv",
+    name: "King James Version",
+    shortName: "KJV",
+    language: "eng",
+    languageName: "English",
+    languageEnglishName: "English",
+  },
+  {
+    id: "fra_lsg",
+    name: "Louis Segond 1910",
+    englishName: "Louis Segond 1910",
+    language: "fra",
+    languageName: "Français",
+    languageEnglishName: "French",
+  },
+  { id: "xyz_test", name: "Test Translation" },
+];
+
+beforeAll(() => {
+  document.body.innerHTML = `
+    <div class="panel" id="panel" hidden>
+      <div class="panel-header">
+        <span class="panel-title"></span>
+        <button class="panel-close" aria-label="Close">×</button>
+      </div>
+      <div class="panel-body"></div>
+    </div>
+  `;
+  initPanel(document.getElementById("panel"));
+});
+
+beforeEach(() => {
+  // Everything comes from the fixture - any network request fails the test
+  vi.stubGlobal(
+    "fetch",
+    vi.fn(() => Promise.reject(new Error("Network access in a test")))
+  );
+  setProvider(createFixtureProvider({ translations: TRANSLATIONS }));
+});
+
+afterEach(() => {
+  closePanel();
+  vi.unstubAllGlobals();
+});
+
+describe("groupTranslationsByLanguage", () => {
+  it("groups the catalog by language, English first and the rest by name", async () => {
+    const groups = groupTranslationsByLanguage(await fetchTranslations());
+
+    expect(groups.map((group) => group.label)).toEqual(["English", "French (Français)", "German (Deutsch)", "und"]);
+    expect(groups[0].translations.map((translation) => translation.id)).toEqual(["BSB", "eng_kjv"]);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
+
+describe("showTranslationPanel", () => {
+  /**
+   * Open the picker and wait for the catalog to show
+   * @returns {Promise<HTMLElement>} Panel body
+   */
+  async function openPicker() {
+    showTranslationPanel({ selected: ["BSB"], onSelect: () => {} });
+    const body = document.querySelector(".panel-body");
+    await vi.waitFor(() => expect(body.querySelector("[data-translation]")).not.toBeNull());
+    return body;
+  }
+
+  /**
+   * Type into the picker's search box
+   * @param {HTMLElement} body - Panel body
+   * @param {string} text - Search text
+   */
+  function search(body, text) {
+    const input = body.querySelector(".panel-search");
+    input.value = text;
+    input.dispatchEvent(new Event("input"));
+  }
+
+  const shown = (body) => [...body.querySelectorAll("[data-translation]")].map((item) => item.dataset.translation);
+
+  it("lists every translation under its language", async () => {
+    const body = await openPicker();
+
+    expect(shown(body)).toEqual(["BSB", "eng_kjv", "fra_lsg", "deu_sch", "xyz_test"]);
+    expect(body.querySelector('[data-translation="BSB"]').classList.contains("active")).toBe(true);
+  });
+
+  it("filters by translation name, abbreviation or language, ignoring case", async () => {
+    const body = await openPicker();
+
+    search(body, "kjv");
+    expect(shown(body)).toEqual(["eng_kjv"]);
+
+    search(body, "  GERMAN ");
+    expect(shown(body)).toEqual(["deu_sch"]);
+
+    search(body, "français");
+    expect(shown(body)).toEqual(["fra_lsg"]);
+
+    search(body, "");
+    expect(shown(body)).toHaveLength(TRANSLATIONS.length);
+  });
+
+  it("says when nothing matches", async () => {
+    const body = await openPicker();
+
+    search(body, "klingon");
+    expect(shown(body)).toEqual([]);
+    expect(body.querySelector(".panel-empty").textContent).toContain("No translations match");
+  });
+});
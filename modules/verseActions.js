@@ -0,0 +1,188 @@
+/**
+ * Verse action bar for reading mode
+ * Tapping a verse number selects that verse; tapping a second verse number extends the
+ * selection to a range. The bar then offers actions for the selection (bookmark, highlight, note, compare, export, share)
+ */
+
+import { MODES, HIGHLIGHT_COLORS } from "./constants.js";
+import { formatReference } from "./bookDataUtils.js";
+import { eventBus, Events } from "./eventBus.js";
+import { findBookmark, toggleBookmark } from "./bookmarks.js";
+import { setHighlight } from "./highlights.js";
+import { getNote } from "./notes.js";
+import { openNoteEditor } from "./notesPanel.js";
+import { showComparePanel } from "./comparePanel.js";
+import { showExportPanel } from "./exportPanel.js";
+import { showSharePanel } from "./sharePanel.js";
+import { getCurrentMode, getCurrentBookIndex, getCurrentChapter } from "./navigationState.js";
+
+let elements = null;
+let allBooksRef = null;
+
+// Currently selected verses ({ book, chapter, anchor, verseStart, verseEnd }), or null
+let selection = null;
+
+/**
+ * Get the current verse selection
+ * @returns {{book: string, chapter: number, verseStart: number, verseEnd: number}|null} Selected verses
+ */
+export function getVerseSelection() {
+  return selection;
+}
+
+/**
+ * Select a verse, or extend the existing selection from its anchor to this verse
+ * @param {number} verse - Verse number in the current chapter
+ */
+function selectVerse(verse) {
+  const anchor = selection ? selection.anchor : verse;
+  clearVerseSelection();
+
+  selection = {
+    book: allBooksRef[getCurrentBookIndex()].book,
+    chapter: getCurrentChapter(),
+    anchor,
+    verseStart: Math.min(anchor, verse),
+    verseEnd: Math.max(anchor, verse),
+  };
+
+  elements.letterDisplay.querySelectorAll(".verse[data-verse]").forEach((verseElement) => {
+    const number = Number(verseElement.dataset.verse);
+    if (number >= selection.verseStart && number <= selection.verseEnd) {
+      verseElement.classList.add("verse-selected");
+    }
+  });
+  renderActionBar();
+  elements.actionBar.hidden = false;
+}
+
+/**
+ * Clear the verse selection and hide the action bar
+ */
+export function clearVerseSelection() {
+  selection = null;
+  elements.letterDisplay.querySelectorAll(".verse-selected").forEach((el) => el.classList.remove("verse-selected"));
+  elements.actionBar.hidden = true;
+}
+
+/**
+ * Refresh action bar labels for the current selection
+ */
+function renderActionBar() {
+  const { book, chapter, verseStart, verseEnd } = selection;
+  const isBookmarked = Boolean(findBookmark(book, chapter, verseStart));
+
+  elements.actionBar.querySelector(".verse-actions-reference").textContent = formatReference(
+    book,
+    chapter,
+    verseStart,
+    verseEnd
+  );
+  elements.actionBar.querySelector('[data-verse-action="bookmark"]').textContent = isBookmarked
+    ? "Remove bookmark"
+    : "Bookmark";
+  elements.actionBar.querySelector('[data-verse-action="note"]').textContent = getNote(book, chapter, verseStart)
+    ? "Edit note"
+    : "Note";
+}
+
+/**
+ * Handle a tap on one of the action bar buttons
+ * @param {HTMLElement} button - Button with a data-verse-action attribute
+ */
+function handleAction(button) {
+  if (!selection) return;
+
+  const { book, chapter, verseStart, verseEnd } = selection;
+  const action = button.dataset.verseAction;
+
+  if (action === "bookmark") {
+    // Bookmarks point at a single verse - use the start of a range
+    toggleBookmark(book, chapter, verseStart);
+    renderActionBar();
+  } else if (action === "note") {
+    // Notes are keyed by a single verse - use the start of a range
+    clearVerseSelection();
+    openNoteEditor({ book, chapter, verse: verseStart });
+  } else if (action === "compare") {
+    clearVerseSelection();
+    showComparePanel({ book, chapter, verseStart, verseEnd });
+  } else if (action === "export") {
+    clearVerseSelection();
+    showExportPanel({ book, chapter, verseStart, verseEnd });
+  } else if (action === "share") {
+    clearVerseSelection();
+    showSharePanel({ book, chapter, verseStart, verseEnd }, allBooksRef);
+  } else if (action === "highlight") {
+    setHighlight(book, chapter, verseStart, verseEnd, button.dataset.color || null);
+    clearVerseSelection();
+  } else if (action === "close") {
+    clearVerseSelection();
+  }
+}
+
+/**
+ * Add one swatch per highlight color, plus one to remove highlights
+ * @param {HTMLElement} container - Element to fill with swatches
+ */
+function renderColorSwatches(container) {
+  const swatches = HIGHLIGHT_COLORS.map(
+    (color) =>
+      `<button class="highlight-swatch" data-verse-action="highlight" data-color="${color.id}" aria-label="Highlight ${color.label}"></button>`
+  );
+  swatches.push(
+    `<button class="highlight-swatch highlight-swatch-clear" data-verse-action="highlight" aria-label="Remove highlight">×</button>`
+  );
+  container.innerHTML = swatches.join("");
+}
+
+/**
+ * Initialize the verse action bar
+ * @param {Object} params - Configuration object
+ * @param {HTMLElement} params.actionBar - Action bar element
+ * @param {HTMLElement} params.letterDisplay - Display area containing rendered verses
+ * @param {Array} params.allBooks - Array of all book data
+ */
+export function initVerseActions({ actionBar, letterDisplay, allBooks }) {
+  elements = { actionBar, letterDisplay };
+  allBooksRef = allBooks;
+
+  renderColorSwatches(actionBar.querySelector(".verse-actions-colors"));
+
+  letterDisplay.addEventListener("click", (e) => {
+    if (getCurrentMode() !== MODES.READING) return;
+
+    const verseNumber = e.target.closest(".verse-number");
+    if (!verseNumber) return;
+
+    const verse = Number(verseNumber.closest(".verse").dataset.verse);
+    if (selection && selection.verseStart === verse && selection.verseEnd === verse) {
+      clearVerseSelection();
+    } else {
+      selectVerse(verse);
+    }
+  });
+
+  // Note markers next to verse numbers open the verse's note
+  letterDisplay.addEventListener("click", (e) => {
+    const marker = e.target.closest(".note-marker");
+    if (getCurrentMode() !== MODES.READING || !marker) return;
+
+    openNoteEditor({
+      book: allBooksRef[getCurrentBookIndex()].book,
+      chapter: getCurrentChapter(),
+      verse: Number(marker.closest(".verse").dataset.verse),
+    });
+  });
+
+  actionBar.addEventListener("click", (e) => {
+    const button = e.target.closest("[data-verse-action]");
+    if (button) {
+      handleAction(button);
+    }
+  });
+
+  // A selection only belongs to the chapter it was made in
+  eventBus.on(Events.DISPLAY_READING, clearVerseSelection);
+  eventBus.on(Events.MODE_CHANGED, clearVerseSelection);
+}
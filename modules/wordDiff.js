@@ -0,0 +1,77 @@
+/**
+ * Word-level diff between two passages
+ * Words are compared ignoring case and surrounding punctuation, so "Light," and "light" count as the same word
+ */
+
+/**
+ * Split text into words
+ * @param {string} text - Plain text
+ * @returns {Array<string>} Words with their punctuation attached
+ */
+function tokenize(text) {
+  return text.split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Reduce a word to the form used for comparison
+ * @param {string} word - Word with punctuation
+ * @returns {string} Lowercase word without leading/trailing punctuation
+ */
+function normalizeWord(word) {
+  return word.toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, "");
+}
+
+/**
+ * Compare two passages word by word (longest common subsequence)
+ * @param {string} before - Text of the first passage
+ * @param {string} after - Text of the second passage
+ * @returns {Array<{type: "same"|"removed"|"added", text: string}>} Runs of words, in reading order;
+ *   "same" runs use the wording of the second passage
+ *
+ * @example
+ * diffWords("In the beginning God created", "In the beginning, God made")
+ * // [{ type: "same", text: "In the beginning, God" }, { type: "removed", text: "created" }, { type: "added", text: "made" }]
+ */
+export function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+  const keysA = a.map(normalizeWord);
+  const keysB = b.map(normalizeWord);
+
+  // lengths[i][j] = length of the common subsequence of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        keysA[i] === keysB[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const runs = [];
+  const push = (type, word) => {
+    const last = runs[runs.length - 1];
+    if (last && last.type === type) {
+      last.text += ` ${word}`;
+    } else {
+      runs.push({ type, text: word });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (keysA[i] === keysB[j]) {
+      push("same", b[j]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push("removed", a[i++]);
+    } else {
+      push("added", b[j++]);
+    }
+  }
+  while (i < a.length) push("removed", a[i++]);
+  while (j < b.length) push("added", b[j++]);
+
+  return runs;
+}